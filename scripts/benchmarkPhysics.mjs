@@ -0,0 +1,39 @@
+// Frame cost of updatePhysics' collision pass against checking every pair, at
+// the few-hundred-node sizes typical of an exploration and at much larger ones.
+// Run with `npm run benchmark:physics`; timings depend on the machine, so this
+// is kept out of the unit tests.
+import { performance } from "node:perf_hooks";
+import { updatePhysics, PHYSICS_CONFIG } from "../src/physics.js";
+import { bruteForceCollisions, buildCrowdedNodes } from "../src/physicsFixtures.js";
+
+const GRID_ONLY_CONFIG = { ...PHYSICS_CONFIG, SPATIAL_INDEX_MIN_NODES: 0 };
+
+// Average milliseconds per call, after a few untimed frames on a separate
+// layout so the JIT has warmed up
+const timeFrames = (step, count, frames) => {
+  const warmUp = buildCrowdedNodes(count, 7);
+  for (let frame = 0; frame < Math.min(frames, 20); frame++) step(warmUp);
+
+  const nodes = buildCrowdedNodes(count);
+  const start = performance.now();
+  for (let frame = 0; frame < frames; frame++) step(nodes);
+  return ((performance.now() - start) / frames).toFixed(2);
+};
+
+const defaultStep = (nodes) => updatePhysics(nodes, [], [0, 0]);
+const gridStep = (nodes) => updatePhysics(nodes, [], [0, 0], 1, GRID_ONLY_CONFIG);
+
+const results = [
+  [100, 200],
+  [300, 100],
+  [1000, 20],
+  [5000, 3],
+].map(([count, frames]) => ({
+  nodes: count,
+  "updatePhysics (ms/frame)": timeFrames(defaultStep, count, frames),
+  "spatial index (ms/frame)": timeFrames(gridStep, count, frames),
+  "all pairs (ms/frame)": timeFrames(bruteForceCollisions, count, count > 1000 ? 1 : frames),
+}));
+
+console.table(results);
+console.log(`updatePhysics switches to the spatial index at ${PHYSICS_CONFIG.SPATIAL_INDEX_MIN_NODES} nodes.`);
@@ -1,7 +1,7 @@
 // React.js frontend to display objects based on search
 
 // Import required modules
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef, useReducer } from "react";
 import TreeBuilder from "./TreeBuilder";
 import { Link } from "react-router-dom";
 import { GoogleLogin, googleLogout } from "@react-oauth/google";
@@ -12,34 +12,113 @@ import { updatePhysics } from "./physics.js";
 import { BrowserRouter as Router, Route, Routes } from "react-router-dom";
 import UserHome from "./UserHome";
 import About from "./About";
-import { useNavigate } from "react-router-dom"; // Import navigation hook
+import SearchResults from "./SearchResults";
+import Breadcrumbs from "./Breadcrumbs";
+import { createMuseumApiFromEnv } from "./museumApi";
+import { createResponseCache, withResponseCache } from "./responseCache";
+import CacheBadge from "./CacheBadge";
+import {
+  serializeExploration,
+  restoreExploration,
+  TreeDocumentError,
+} from "./treeSerializer";
+import { createTreeStoreFromEnv } from "./treeStorage";
+import {
+  EXPORT_FORMATS,
+  collectFromTree,
+  collectFromHistory,
+  exportExploredObjects,
+} from "./explorationExport";
+import { downloadBlob } from "./treeImageExport";
+import {
+  createSession,
+  applyEvent,
+  createRestoredEvent,
+  isExpanded,
+  selectRecord,
+  selectSelectedObject,
+  selectSimilarObjects,
+} from "./explorationSession";
+import {
+  createSelectionStack,
+  currentSelection,
+  canGoBack,
+  canGoForward,
+  pushSelection,
+  moveSelectionTo,
+  selectionHistoryState,
+} from "./selectionHistory";
+import {
+  encodeExplorationState,
+  decodeExplorationState,
+  createReplaySteps,
+  ShareLinkError,
+} from "./shareLink";
+import { useNavigate, useMatch, useHref, useLocation } from "react-router-dom"; // Import navigation hooks
+
+// Number of search hits offered as tree roots
+const SEARCH_RESULT_LIMIT = 8;
+
+// Read the user id and name from a Google ID token (a JWT)
+const decodeGoogleCredential = (credential) => {
+  try {
+    const payload = credential.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const bytes = Uint8Array.from(atob(payload), (char) => char.charCodeAt(0));
+    const claims = JSON.parse(new TextDecoder().decode(bytes));
+    return { id: claims.sub, name: claims.given_name || claims.name || "", token: credential };
+  } catch (err) {
+    console.error("Unable to read Google credential", err);
+    return null;
+  }
+};
 
 function App() {
-  const [object, setObject] = useState(null);
+  // Explored objects, their tree and the current selection (see explorationSession.js)
+  const [session, dispatchSession] = useReducer(applyEvent, undefined, createSession);
+  const object = selectSelectedObject(session);
+  const similarObjects = selectSimilarObjects(session);
+  const { searchHistory, similarRecords, searchedIds: searchedNodes } = session;
   const [error, setError] = useState(null);
-  const [similarObjects, setSimilarObjects] = useState([]);
-  const [searchHistory, setHistory] = useState([]); // Stores the search history
-  const [similarRecords, setSimilarRecords] = useState({}); // Stores similar objects per search
-  const [searchedNodes, setSearchedNodes] = useState(new Set()); // Tracks which node IDs have been searched
 
   const [searchTerm, setSearchTerm] = useState("");
+  const [searchResults, setSearchResults] = useState(null); // Ranked hits for the last search, null before searching
+  const [searchedQuery, setSearchedQuery] = useState("");
   const [typedText, setTypedText] = useState("");
   const fullText = "Search with a feeling...";
-  const port = process.env.PORT || 10000;
-    // Use environment variable for API URL
-    const url = process.env.REACT_APP_API_URL;
-    
-    if (!url) {
-      console.error('REACT_APP_API_URL environment variable is required');
-      throw new Error('API URL not configured');
-    }
-  
-  // Debug: Log the API URL being used
-  console.log("API URL being used:", url);
-  console.log("REACT_APP_API_URL env var:", process.env.REACT_APP_API_URL);
+  // API client configured from REACT_APP_API_URL and friends; responses are
+  // cached in IndexedDB so revisits and reloads skip the backend
+  const api = useMemo(() => withResponseCache(createMuseumApiFromEnv(), createResponseCache()), []);
+  const [searchCachedAt, setSearchCachedAt] = useState(null); // When the shown search results were cached, if they came from the cache
+  const [similarCachedAt, setSimilarCachedAt] = useState({}); // Same, per object whose similar objects were fetched
+  const [cacheStatus, setCacheStatus] = useState(null);
   const [loggedIn, setLoggedIn] = useState(null);
-  const [activeNode, setActiveNode] = useState(null);
+  const [user, setUser] = useState(null); // { id, name, token } from the Google credential
+  const treeStore = useMemo(() => createTreeStoreFromEnv(user), [user]);
+  const [libraryEntry, setLibraryEntry] = useState(null); // Library entry the current tree was opened from or saved to
+  const [rootQuery, setRootQuery] = useState(""); // Query the current root was found with
+  const [shareStatus, setShareStatus] = useState(null);
+  const [replaySteps, setReplaySteps] = useState(null); // Remaining steps of a shared-link replay
+  const startedReplayRef = useRef(null);
+  const sharedState = useMatch("/tree/:state")?.params.state;
+  const shareBaseHref = useHref("/tree");
+  const activeNode = useMemo(
+    () => object && { id: object.id, description: object.text_for_embedding, image: object.Image },
+    [object]
+  );
+  const [activePath, setActivePath] = useState([]); // Root-to-active path reported by TreeGraph
+  const [restoredTree, setRestoredTree] = useState(null); // Saved tree handed to TreeGraph on mount
+  const [treeKey, setTreeKey] = useState(0);
+  const treeRef = useRef(null);
+  const fileInputRef = useRef(null);
   const navigate = useNavigate();
+  const location = useLocation();
+  // Back/forward stack of selections; the ref is read by handlers that may run
+  // from stale closures (e.g. during a replay), the state drives the buttons
+  const selectionStackRef = useRef(createSelectionStack(Date.now()));
+  const [selectionStack, setSelectionStack] = useState(selectionStackRef.current);
+  // Latest handlers, for effects that should run on their own trigger rather
+  // than every time a handler is recreated; assigned once they are declared
+  const handlersRef = useRef(null);
 
   //Text typing effect for header:
   useEffect(() => {
@@ -58,45 +137,180 @@ function App() {
     return () => clearInterval(typingInterval); // Cleanup interval
   }, []);
 
-  // Function to refresh the page or reset the state
-  const handleRefresh = () => {
-    window.location.reload(); // Full page reload
-    // Alternatively, if using state management, reset the state instead of reloading.
+  // Reset the exploration state so a new search can start without a page reload
+  const resetExploration = () => {
+    dispatchSession({ type: "cleared" });
+    setError(null);
+    setSearchResults(null);
+    setRestoredTree(null);
+    setLibraryEntry(null);
+    setRootQuery("");
+    setReplaySteps(null);
+    updateSelectionStack(createSelectionStack(Date.now()));
+  };
+
+  const updateSelectionStack = (stack) => {
+    selectionStackRef.current = stack;
+    setSelectionStack(stack);
+  };
+
+  // Add a selection to the back/forward stack and to the browser history
+  const recordSelection = (entry, { replace = false } = {}) => {
+    const stack = pushSelection(selectionStackRef.current, entry);
+    if (stack === selectionStackRef.current) return;
+    updateSelectionStack(stack);
+    navigate(
+      { pathname: location.pathname, search: location.search },
+      { state: selectionHistoryState(stack), replace }
+    );
+  };
+
+  // Show an object selected earlier, reusing the similar objects already
+  // fetched for it
+  const showSelection = (entry) => {
+    const record = searchHistory.find((item) => String(item.id) === String(entry.id));
+    if (!record) return; // Pruned since it was selected
+    dispatchSession({ type: "selected", id: record.id });
+    if (!similarRecords[record.id]) fetchSimilarObjects(record);
+    treeRef.current?.centreOnObject(entry.id);
+  };
+
+  // Browser back/forward (or our own buttons, which go through the browser)
+  // landed on another selection of this exploration
+  useEffect(() => {
+    const state = location.state;
+    const stack = selectionStackRef.current;
+    if (!state || state.session !== stack.session) return;
+    const next = moveSelectionTo(stack, state.selection);
+    if (next === stack) return;
+    updateSelectionStack(next);
+    handlersRef.current.showSelection(currentSelection(next));
+  }, [location]);
+
+  // Alt+Left / Alt+Right step through selections outside of text fields
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!event.altKey || (event.key !== "ArrowLeft" && event.key !== "ArrowRight")) return;
+      if (event.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const stack = selectionStackRef.current;
+      const back = event.key === "ArrowLeft";
+      if (back ? !canGoBack(stack) : !canGoForward(stack)) return;
+      event.preventDefault();
+      navigate(back ? -1 : 1);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [navigate]);
+
+  // Download the current exploration as a versioned JSON document
+  const handleSaveExploration = () => {
+    const tree = treeRef.current?.exportTree() || { nodes: [], links: [] };
+    const doc = serializeExploration({
+      ...tree,
+      activeNode,
+      selectedObject: object,
+      searchHistory,
+      similarRecords,
+      searchedNodes,
+    });
+
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" });
+    downloadBlob(blob, `exploration-${doc.savedAt.slice(0, 10)}.json`);
   };
 
-  // Fetch an object based on search term from the backend
+  // Download the visited objects and their relationships for notes
+  const handleExportObjects = (event) => {
+    const format = event.target.value;
+    event.target.value = ""; // Reset so the same format can be picked again
+    if (!EXPORT_FORMATS[format]) return;
+
+    const tree = treeRef.current?.exportTree();
+    const rows = tree?.nodes.length
+      ? collectFromTree(tree)
+      : collectFromHistory({ searchHistory, similarRecords });
+    const { extension } = EXPORT_FORMATS[format];
+    downloadBlob(
+      exportExploredObjects(rows, format),
+      `explored-objects-${new Date().toISOString().slice(0, 10)}.${extension}`
+    );
+  };
+
+  // Replace the current state with a restored exploration
+  const applyRestoredExploration = (restored) => {
+    const selected =
+      restored.selectedObject ||
+      restored.searchHistory[restored.searchHistory.length - 1] ||
+      null;
+
+    setRestoredTree(restored);
+    setTreeKey((prevKey) => prevKey + 1); // Remount TreeGraph with the restored nodes
+    dispatchSession(createRestoredEvent(restored));
+    const active =
+      restored.activeNode ||
+      (selected && { id: selected.id, description: selected.text_for_embedding, image: selected.Image });
+    setSearchResults(null);
+    setError(null);
+
+    updateSelectionStack(createSelectionStack(Date.now()));
+    if (active) {
+      recordSelection(
+        { id: active.id, description: active.description, image: active.image },
+        { replace: true }
+      );
+    }
+  };
+
+  // Load an exploration from a JSON file picked by the user
+  const handleOpenExploration = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ""; // Allow opening the same file twice
+    if (!file) return;
+
+    try {
+      applyRestoredExploration(restoreExploration(await file.text()));
+    } catch (err) {
+      console.error(err);
+      setError(
+        err instanceof TreeDocumentError
+          ? err.message
+          : "Unable to open the saved exploration."
+      );
+    }
+  };
+
+  // Fetch the ranked matches for a search term from the backend
   const fetchObjectBySearch = async (query) => {
     try {
-      const response = await fetch(`${url}/search-object?query=${searchTerm}`);
-      if (!response.ok) {
-        throw new Error("Failed to fetch data");
-      }
-      console.log(response);
-      const dataArray = await response.json();
-      const data = dataArray[0];
-      setObject(dataArray);
-      setHistory((prevHistory) => [...prevHistory, dataArray]);
-      console.log("Current history state:", searchHistory);
+      const results = await api.searchObjects(query);
+      setSearchCachedAt(api.cacheInfo(results).storedAt);
+      setSearchResults(results.slice(0, SEARCH_RESULT_LIMIT));
+      setSearchedQuery(query);
       setError(null);
-      
-      // Set the active node for the initial search
-      const nodeObject = {
-        description: dataArray.text_for_embedding,
-        image: dataArray.Image
-      };
-      setActiveNode(nodeObject);
-      
-      // Mark this node as searched
-      setSearchedNodes(prev => new Set([...prev, dataArray.id]));
-      
-      // Fetch similar objects for the newly selected object
-      fetchSimilarObjects(dataArray);
     } catch (err) {
       console.error(err);
       setError("Unable to load object. Please try again later.");
     }
   };
 
+  // Make the chosen search hit the root of the tree
+  const handleSearchResultSelect = (dataArray, query = searchedQuery) => {
+    setSearchResults(null);
+    setRootQuery(query);
+    dispatchSession({ type: "searched", query, record: dataArray });
+    setError(null);
+
+    // Set the active node for the initial search
+    const nodeObject = {
+      id: dataArray.id,
+      description: dataArray.text_for_embedding,
+      image: dataArray.Image
+    };
+    recordSelection(nodeObject);
+
+    // Fetch similar objects for the newly selected object
+    fetchSimilarObjects(dataArray);
+  };
+
   // Fetch similar objects
   const fetchSimilarObjects = async (selectedObject) => {
     if (!selectedObject || !selectedObject.id) {
@@ -105,25 +319,16 @@ function App() {
     }
 
     try {
-      const response = await fetch(
-        `${url}/similar-objects/${selectedObject.id}`
-      );
-      if (!response.ok) {
-        throw new Error("Failed to fetch similar objects");
-      }
       console.log("Setting similar objects.");
       console.log("Current similarObjects state:", similarObjects);
-      const data = await response.json();
-      // Ensure data is always treated as an array
-      const dataArray = Array.isArray(data) ? data : [data];
-      setSimilarObjects(dataArray);
+      // The client validates the payload and always returns an array
+      const dataArray = await api.fetchSimilarObjects(selectedObject.id);
       console.log("Updated similarObjects state:", dataArray);
-      // Store the similar objects linked to the current search object
-      setSimilarRecords((prevRecords) => ({
-        ...prevRecords,
-        [selectedObject.id]: dataArray, // Keep track of what was presented for this object
-      }));
-      console.log("Current similarRecords state:", similarRecords);
+      const { storedAt } = api.cacheInfo(dataArray);
+      setSimilarCachedAt((prev) => ({ ...prev, [selectedObject.id]: storedAt }));
+      // Keep track of what was presented for this object; the session grows
+      // the tree under it
+      dispatchSession({ type: "expanded", id: selectedObject.id, records: dataArray });
     } catch (err) {
       console.error(err);
       setError("Unable to load similar objects. Please try again later.");
@@ -132,26 +337,24 @@ function App() {
 
   // Handle clicking on a similar object
   const handleSimilarObjectClick = (selectedObject) => {
-    // Add the selected object to history
-    setHistory((prevHistory) => [...prevHistory, selectedObject]);
-    setObject(selectedObject);
-    
-    // Create a node object for the active node
-    const nodeObject = {
+    // Select it (adding it to history)
+    dispatchSession({ type: "selected", id: selectedObject.id, record: selectedObject });
+    recordSelection({
+      id: selectedObject.id,
       description: selectedObject.text_for_embedding,
       image: selectedObject.Image
-    };
-    setActiveNode(nodeObject);
-    
-    // Mark this node as searched
-    setSearchedNodes(prev => new Set([...prev, selectedObject.id]));
+    });
     
-    // Clear similar objects before fetching new ones
-    setSimilarObjects([]);
     // Fetch similar objects for the newly selected object
     setTimeout(() => fetchSimilarObjects(selectedObject), 0);
   };
 
+  // Forget a subtree pruned in the tree so its objects can be suggested again;
+  // if the current object was pruned, the session falls back to the subtree's parent
+  const handlePrune = (removedNodes) => {
+    if (removedNodes[0]?.id != null) dispatchSession({ type: "pruned", id: removedNodes[0].id });
+  };
+
   // Handle clicking on old node
   const handleNodeSelect = (node) => {
     // Check if this node has an ID (from database) or if we need to find it
@@ -166,16 +369,15 @@ function App() {
     }
     
     // Check if this node ID has already been searched
-    if (nodeId && searchedNodes.has(nodeId)) {
+    if (nodeId && isExpanded(session, nodeId)) {
       // ✅ Node was previously searched: Find the original object and restore state
       const existingHistoryItem = searchHistory.find(
-        (item) => item.id === nodeId
+        (item) => String(item.id) === String(nodeId)
       );
       
       if (existingHistoryItem) {
-        setObject(existingHistoryItem);
-        setSimilarObjects(similarRecords[existingHistoryItem.id] || []);
-        setActiveNode(node);
+        dispatchSession({ type: "selected", id: nodeId });
+        recordSelection({ id: nodeId, description: node.description, image: node.image });
       }
     } else {
       // ✅ New node: Create object from node data and fetch similar objects
@@ -185,18 +387,113 @@ function App() {
         Image: node.image
       };
       
-      setObject(nodeObject);
-      setActiveNode(node);
-      
-      // Add the node object to search history so TreeGraph can find it
-      setHistory((prevHistory) => [...prevHistory, nodeObject]);
-      
-      // Mark this node as searched and fetch similar objects
-      setSearchedNodes(prev => new Set([...prev, nodeObject.id]));
+      // Objects already in the tree keep the record they arrived with
+      dispatchSession({ type: "selected", id: nodeObject.id, record: nodeObject });
+      recordSelection({ id: nodeObject.id, description: node.description, image: node.image });
       fetchSimilarObjects(nodeObject);
     }
   };
 
+  // Go back to an object on the breadcrumb trail and bring it into view
+  const handleBreadcrumbSelect = (crumb) => {
+    handleNodeSelect({ id: crumb.id, description: crumb.description, image: crumb.image });
+    treeRef.current?.centreOnObject(crumb.id);
+  };
+
+  // Copy a /tree/:state link that replays this exploration
+  const handleShareLink = async () => {
+    const root = searchHistory[0];
+    if (!root) return;
+
+    // Temporary node_* ids cannot be fetched again, so they are left out;
+    // the session keys objects by string, the link records their own ids
+    const expandedIds = [...searchedNodes]
+      .filter((key) => key !== String(root.id) && !key.startsWith("node_"))
+      .map((key) => selectRecord(session, key)?.id ?? key);
+    const state = encodeExplorationState({
+      query: rootQuery || root.text_for_embedding,
+      rootId: root.id,
+      expandedIds,
+      activeId: object?.id ?? root.id,
+    });
+    const link = `${window.location.origin}${shareBaseHref}/${state}`;
+
+    try {
+      await navigator.clipboard.writeText(link);
+      setShareStatus("Link Copied");
+    } catch (err) {
+      window.prompt("Copy this link to share the exploration", link);
+    }
+    setTimeout(() => setShareStatus(null), 2000);
+  };
+
+  // Forget cached backend responses, so the next lookups hit the backend
+  const handleClearCache = async () => {
+    await api.clearCache();
+    setSearchCachedAt(null);
+    setSimilarCachedAt({});
+    setCacheStatus("Cache Cleared");
+    setTimeout(() => setCacheStatus(null), 2000);
+  };
+
+  // Rebuild an exploration from a shared link: search, pick the same root,
+  // then expand the recorded nodes one by one (see the replay effect below)
+  const startReplay = async (encodedState) => {
+    let plan;
+    try {
+      plan = decodeExplorationState(encodedState);
+    } catch (err) {
+      setError(err instanceof ShareLinkError ? err.message : "This link is invalid.");
+      return;
+    }
+
+    resetExploration();
+    try {
+      const results = await api.searchObjects(plan.query);
+      const root = results.find((result) => String(result.id) === String(plan.rootId));
+      if (!root) {
+        setError("The starting object of this link could not be found.");
+        return;
+      }
+      setReplaySteps(createReplaySteps(plan));
+      handleSearchResultSelect(root, plan.query);
+    } catch (err) {
+      console.error(err);
+      setError("Unable to load object. Please try again later.");
+    }
+  };
+
+  // Start a replay whenever a /tree/:state URL is opened; the ref keeps
+  // StrictMode's double effect run from replaying the same link twice
+  useEffect(() => {
+    if (!sharedState || startedReplayRef.current === sharedState) return;
+    startedReplayRef.current = sharedState;
+    handlersRef.current.startReplay(sharedState);
+  }, [sharedState]);
+
+  // Drive the replay: once the current object's similar records have arrived
+  // (so the tree has grown under it), take the next step off the queue
+  useEffect(() => {
+    const current = selectSelectedObject(session);
+    if (!replaySteps || !current || !session.similarRecords[current.id]) return;
+
+    const [step, ...rest] = replaySteps;
+    setReplaySteps(rest.length ? rest : null);
+    if (step.type === "select" && String(step.id) === String(current.id)) return;
+
+    const record = selectRecord(session, step.id);
+    if (!record) {
+      setReplaySteps(null);
+      if (step.type === "expand") setError("Part of this exploration could not be rebuilt.");
+      return;
+    }
+    handlersRef.current.handleNodeSelect({
+      id: record.id,
+      description: record.text_for_embedding,
+      image: record.Image,
+    });
+  }, [replaySteps, session]);
+
   // Handle search form submission
   const handleSearchSubmit = (event) => {
     event.preventDefault();
@@ -212,6 +509,7 @@ function App() {
     console.log(res);
     setLoggedIn(true);
     const userToken = res.credential;
+    setUser(decodeGoogleCredential(userToken));
     postMessage("/api/login", { token: userToken }).then((user) => {
       console.log(user);
     });
@@ -219,26 +517,298 @@ function App() {
   const handleLogout = (res) => {
     console.log("Logging out");
     setLoggedIn(false);
+    setUser(null);
+    setLibraryEntry(null);
     postMessage("api/logout");
     googleLogout();
   };
   // Clear states when navigating away
   useEffect(() => {
     return () => {
-      setObject(null);
-      setSimilarObjects([]);
-      setHistory([]);
-      setActiveNode(null);
+      dispatchSession({ type: "cleared" });
       setSearchTerm("");
-      setSimilarRecords({});
-      setSearchedNodes(new Set());
+      setSearchResults(null);
+      setRestoredTree(null);
+      setLibraryEntry(null);
     };
   }, [navigate]);
+  // Load and apply a library tree once the navigation to "/" has cleared the
+  // old state. Only the entry's id and name travel in the router state, which
+  // browsers size-limit and persist; declared after the clearing effect so it
+  // runs after that cleanup.
+  const openedFromLibrary = location.state?.openedFromLibrary;
   useEffect(() => {
-    //getComputedStyle("/user_trees").then((treeObjs) => {
-    //pull up trees
-    //});
-  }, []);
+    if (!openedFromLibrary || !treeStore) return;
+    const { id, name } = openedFromLibrary;
+    let cancelled = false;
+    const open = async () => {
+      try {
+        const entry = await treeStore.load(id);
+        if (cancelled) return;
+        handlersRef.current.applyRestoredExploration(restoreExploration(entry.document));
+        setLibraryEntry({ id, name: entry.name });
+      } catch (err) {
+        if (cancelled) return;
+        console.error(err);
+        setError(err instanceof TreeDocumentError ? err.message : `Unable to open "${name}".`);
+      }
+    };
+    open();
+    return () => {
+      cancelled = true;
+    };
+  }, [openedFromLibrary, treeStore]);
+
+  // Open a tree from the saved-trees library on the main view
+  const handleOpenFromLibrary = (entry) => {
+    navigate("/", { state: { openedFromLibrary: { id: entry.id, name: entry.name } } });
+  };
+
+  // Save (or update) the current exploration in the user's library
+  const handleSaveToLibrary = async () => {
+    if (!treeStore) return;
+    const name =
+      libraryEntry?.name ||
+      window.prompt(
+        "Name this exploration",
+        searchHistory[0]?.text_for_embedding.slice(0, 60) || "Untitled exploration"
+      );
+    if (!name) return;
+
+    try {
+      const tree = treeRef.current?.exportTree() || { nodes: [], links: [] };
+      const saved = await treeStore.save({
+        id: libraryEntry?.id,
+        name,
+        document: serializeExploration({
+          ...tree,
+          activeNode,
+          selectedObject: object,
+          searchHistory,
+          similarRecords,
+          searchedNodes,
+        }),
+      });
+      setLibraryEntry({ id: saved.id, name: saved.name });
+    } catch (err) {
+      console.error(err);
+      setError("Unable to save to your library. Please try again later.");
+    }
+  };
+
+  handlersRef.current = { applyRestoredExploration, showSelection, startReplay, handleNodeSelect };
+
+  // The exploration view, shared by "/" and shared-link "/tree/:state" URLs
+  const mainView = (
+    <div className="main-app">
+      {error && <p className="error">{error}</p>}
+      <div className="exploration-actions">
+        {object && (
+          <>
+            <button
+              className="exploration-action-btn"
+              onClick={() => navigate(-1)}
+              disabled={!canGoBack(selectionStack)}
+              title="Previously selected object (Alt+Left)"
+              aria-label="Back"
+            >
+              ←
+            </button>
+            <button
+              className="exploration-action-btn"
+              onClick={() => navigate(1)}
+              disabled={!canGoForward(selectionStack)}
+              title="Next selected object (Alt+Right)"
+              aria-label="Forward"
+            >
+              →
+            </button>
+          </>
+        )}
+        {(object || error) && (
+          <button
+            className="exploration-action-btn"
+            onClick={resetExploration}
+            title="Start a new exploration"
+          >
+            New Search
+          </button>
+        )}
+        {object && treeStore && (
+          <button
+            className="exploration-action-btn"
+            onClick={handleSaveToLibrary}
+            title={
+              libraryEntry
+                ? `Update "${libraryEntry.name}" in your library`
+                : "Save this exploration to your library"
+            }
+          >
+            Save to Library
+          </button>
+        )}
+        {object && (
+          <button
+            className="exploration-action-btn"
+            onClick={handleShareLink}
+            title="Copy a link that rebuilds this exploration"
+          >
+            {shareStatus || "Share Link"}
+          </button>
+        )}
+        {object && (
+          <button
+            className="exploration-action-btn"
+            onClick={handleSaveExploration}
+            title="Download this exploration as a JSON file"
+          >
+            Save
+          </button>
+        )}
+        {object && (
+          <select
+            className="exploration-action-btn"
+            defaultValue=""
+            onChange={handleExportObjects}
+            title="Export the visited objects"
+          >
+            <option value="" disabled>
+              Export Objects…
+            </option>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <option key={format} value={format}>
+                {label}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          className="exploration-action-btn"
+          onClick={handleClearCache}
+          title="Forget cached search and similar-object responses"
+        >
+          {cacheStatus || "Clear Cache"}
+        </button>
+        <button
+          className="exploration-action-btn"
+          onClick={() => fileInputRef.current?.click()}
+          title="Continue a saved exploration"
+        >
+          Open
+        </button>
+        <input
+          type="file"
+          accept="application/json,.json"
+          ref={fileInputRef}
+          onChange={handleOpenExploration}
+          hidden
+        />
+      </div>
+      {object ? (
+        <div className="history-tree-main">
+          <div className="tree-wrapper">
+            <TreeGraph
+              key={treeKey}
+              ref={treeRef}
+              initialTree={restoredTree}
+              session={session}
+              onNodeSelect={handleNodeSelect}
+              onPrune={handlePrune}
+              onActivePathChange={setActivePath}
+            />
+          </div>
+
+          <div className="object-card">
+            <Breadcrumbs path={activePath} onSelect={handleBreadcrumbSelect} />
+            <div className="image-card">
+              <p>
+                Currently Selected Node.<br />
+                <strong>ID:</strong> {object.id}
+              </p>
+              <img src={object.Image} alt={object.text_for_embedding} />
+            </div>
+            <p>{object.text_for_embedding}</p>
+          </div>
+        </div>
+      ) : (
+        !error && (
+          <>
+            <header className="App-header">
+              <h1 className="animated-text">{typedText}</h1>
+            </header>
+            <div className="search-container">
+              <form
+                onSubmit={handleSearchSubmit}
+                className="search-form"
+              >
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  placeholder="   Search..."
+                  className="search-box"
+                />
+                <button type="submit" className="search-button">
+                  {">"}
+                </button>
+              </form>
+            </div>
+            {searchResults && <CacheBadge storedAt={searchCachedAt} />}
+            <SearchResults
+              results={searchResults}
+              query={searchedQuery}
+              onSelect={handleSearchResultSelect}
+            />
+          </>
+        )
+      )}
+      {console.log("Current similarObjects state:", similarObjects)}
+      {similarObjects && similarObjects.length > 0 ? (
+        <div>
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "20px",
+              justifyContent: "center",
+            }}
+          >
+            <hr style={{ width: '100%', border: '1px solid #333', margin: '20px 0' }} />
+            <p>
+              Related Nodes <CacheBadge storedAt={object && similarCachedAt[object.id]} />
+            </p>
+            <hr style={{ width: '100%', border: '1px solid #333', margin: '20px 0' }} />
+            {similarObjects.map((simObj) => (
+              <div
+                key={simObj.id}
+                className="object-card-2"
+                onClick={() => handleSimilarObjectClick(simObj)}
+              >
+                <div className="image-card-2">
+                  <p>
+                    <strong>ID:</strong> {simObj.id}
+                  </p>
+                  <img
+                    src={simObj.Image}
+                    alt={simObj.text_for_embedding}
+                  />
+                  <p>{simObj.text_for_embedding}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        object && (
+          <>
+            {console.log(
+              "No similar objects found or similarObjects is empty."
+            )}
+          </>
+        )
+      )}
+    </div>
+  );
 
   return (
     <div className="App">
@@ -271,108 +841,20 @@ function App() {
         )}
       </nav>
       <Routes>
-        <Route path="/user" element={<UserHome />} />
-        <Route path="/about" element={<About />} />
-
         <Route
-          path="/"
+          path="/user"
           element={
-            <div className="main-app">
-              {error && <p className="error">{error}</p>}
-              {object ? (
-                <div className="history-tree-main">
-                  <div className="tree-wrapper">
-                    <TreeGraph
-                      searchHistory={searchHistory}
-                      similarRecords={similarRecords}
-                      onNodeSelect={handleNodeSelect}
-                      activeNode={activeNode}
-                    />
-                  </div>
-
-                  <div className="object-card">
-                    <div className="image-card">
-                      <p>
-                        Currently Selected Node.<br />
-                        <strong>ID:</strong> {object.id}
-                      </p>
-                      <img src={object.Image} alt={object.text_for_embedding} />
-                    </div>
-                    <p>{object.text_for_embedding}</p>
-                  </div>
-                </div>
-              ) : (
-                !error && (
-                  <>
-                    <header className="App-header">
-                      <h1 className="animated-text">{typedText}</h1>
-                    </header>
-                    <div className="search-container">
-                      <form
-                        onSubmit={handleSearchSubmit}
-                        className="search-form"
-                      >
-                        <input
-                          type="text"
-                          value={searchTerm}
-                          onChange={(e) => setSearchTerm(e.target.value)}
-                          placeholder="   Search..."
-                          className="search-box"
-                        />
-                        <button type="submit" className="search-button">
-                          {">"}
-                        </button>
-                      </form>
-                    </div>
-                  </>
-                )
-              )}
-              {console.log("Current similarObjects state:", similarObjects)}
-              {similarObjects && similarObjects.length > 0 ? (
-                <div>
-                  <div
-                    style={{
-                      display: "flex",
-                      flexWrap: "wrap",
-                      gap: "20px",
-                      justifyContent: "center",
-                    }}
-                  >
-                    <hr style={{ width: '100%', border: '1px solid #333', margin: '20px 0' }} />
-                    <p>Related Nodes</p>
-                    <hr style={{ width: '100%', border: '1px solid #333', margin: '20px 0' }} />
-                    {similarObjects.map((simObj) => (
-                      <div
-                        key={simObj.id}
-                        className="object-card-2"
-                        onClick={() => handleSimilarObjectClick(simObj)}
-                      >
-                        <div className="image-card-2">
-                          <p>
-                            <strong>ID:</strong> {simObj.id}
-                          </p>
-                          <img
-                            src={simObj.Image}
-                            alt={simObj.text_for_embedding}
-                          />
-                          <p>{simObj.text_for_embedding}</p>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              ) : (
-                object && (
-                  <>
-                    {console.log(
-                      "No similar objects found or similarObjects is empty."
-                    )}
-                  </>
-                )
-              )}
-            </div>
+            <UserHome
+              user={user}
+              store={treeStore}
+              onOpen={handleOpenFromLibrary}
+            />
           }
         />
+        <Route path="/about" element={<About />} />
+
+        <Route path="/" element={mainView} />
+        <Route path="/tree/:state" element={mainView} />
       </Routes>
     </div>
   );
@@ -0,0 +1,37 @@
+import React from "react";
+
+// Path from the root object to the selected one, with the similarity score of
+// each hop. Every crumb but the last reselects its object.
+const Breadcrumbs = ({ path, onSelect }) => {
+  if (path.length === 0) return null;
+
+  return (
+    <nav className="breadcrumbs" aria-label="Path from the first object">
+      <ol>
+        {path.map((crumb, index) => {
+          const isCurrent = index === path.length - 1;
+          return (
+            <li key={crumb.id ?? index}>
+              {index > 0 && (
+                <span className="breadcrumb-hop" title="Similarity to the previous object">
+                  {typeof crumb.similarityScore === "number" ? crumb.similarityScore.toFixed(2) : "→"}
+                </span>
+              )}
+              <button
+                className="breadcrumb"
+                onClick={() => onSelect(crumb)}
+                disabled={isCurrent}
+                aria-current={isCurrent ? "page" : undefined}
+                title={crumb.description}
+              >
+                {crumb.image ? <img src={crumb.image} alt={crumb.description} /> : <span>{crumb.id}</span>}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+};
+
+export default Breadcrumbs;
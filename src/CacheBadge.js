@@ -0,0 +1,23 @@
+import React from "react";
+
+// Rough age of a cached response, e.g. "5 min ago"
+const formatAge = (storedAt, now = Date.now()) => {
+  const minutes = Math.floor((now - storedAt) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+};
+
+// Marks results that were served from the response cache instead of the backend
+const CacheBadge = ({ storedAt }) => {
+  if (storedAt == null) return null;
+  return (
+    <span className="cache-badge" title={`Fetched ${new Date(storedAt).toLocaleString()}`}>
+      From cache · {formatAge(storedAt)}
+    </span>
+  );
+};
+
+export default CacheBadge;
@@ -20,5 +20,7 @@ export class Node {
     this.instanceId = `${id || 'temp'}_${Date.now()}_${Math.random()}`; // Unique instance ID
     this.depth = parent ? parent.depth + 1 : 0; // Calculate depth based on parent
     this.resting = false; // Flag to indicate if node is at rest (calculated dynamically)
+    this.pinned = false; // Pinned nodes are held in place by the user, not by physics
+    this.collapsed = false; // Collapsed nodes hide their descendants (and take them out of physics)
   }
 }
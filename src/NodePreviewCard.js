@@ -0,0 +1,54 @@
+import React from "react";
+
+// Read-only preview of a tree node, shown on hover or long-press. TreeGraph
+// positions it every frame (see positionPreviewCard) so it tracks the node
+// through physics and zoom; nothing here selects the node or fetches data.
+const NodePreviewCard = React.forwardRef(({ node, similarityScore }, ref) => (
+  <div ref={ref} className="node-preview-card" role="tooltip">
+    {node.image && <img src={node.image} alt="" className="node-preview-image" />}
+    <p className="node-preview-description">{node.description}</p>
+    <dl className="node-preview-meta">
+      <dt>ID</dt>
+      <dd>{node.id ?? "—"}</dd>
+      <dt>Depth</dt>
+      <dd>{node.depth}</dd>
+      {node.parentNode && (
+        <>
+          <dt>Similarity to parent</dt>
+          <dd>{typeof similarityScore === "number" ? similarityScore.toFixed(2) : "N/A"}</dd>
+        </>
+      )}
+    </dl>
+  </div>
+));
+
+NodePreviewCard.displayName = "NodePreviewCard";
+
+// Place the card beside its node in screen space, flipping to the left and
+// clamping so it stays inside the container
+export const positionPreviewCard = (card, node, svgElement, transform) => {
+  const container = card.offsetParent;
+  if (!container) return;
+
+  const GAP = 12;
+  const MARGIN = 8;
+  const centerX = svgElement.offsetLeft + transform.x + node.position.x * transform.k;
+  const centerY = svgElement.offsetTop + transform.y + node.position.y * transform.k;
+  const radius = node.extends * transform.k;
+  const { offsetWidth: width, offsetHeight: height } = card;
+
+  let left = centerX + radius + GAP;
+  if (left + width > container.clientWidth - MARGIN) {
+    left = centerX - radius - GAP - width;
+  }
+  left = Math.max(MARGIN, Math.min(left, container.clientWidth - width - MARGIN));
+  const top = Math.max(
+    MARGIN,
+    Math.min(centerY - height / 2, container.clientHeight - height - MARGIN)
+  );
+
+  card.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+  card.style.visibility = "visible";
+};
+
+export default NodePreviewCard;
@@ -0,0 +1,50 @@
+import { Node } from './Node';
+import { positionPreviewCard } from './NodePreviewCard';
+
+// A 200x100 card inside an 800x600 container; the layout properties jsdom
+// leaves at 0 are set by hand
+const createCard = ({ containerWidth = 800, containerHeight = 600 } = {}) => ({
+  offsetParent: { clientWidth: containerWidth, clientHeight: containerHeight },
+  offsetWidth: 200,
+  offsetHeight: 100,
+  style: {},
+});
+
+const svgElement = { offsetLeft: 0, offsetTop: 0 };
+const identity = { x: 0, y: 0, k: 1 };
+
+const place = (card, x, y, transform = identity, svg = svgElement) => {
+  positionPreviewCard(card, new Node({ x, y }, { x: 0, y: 0 }), svg, transform);
+  return card.style.transform;
+};
+
+test('sits to the right of the node, vertically centred on it', () => {
+  const card = createCard();
+  expect(place(card, 100, 300)).toBe('translate(142px, 250px)');
+  expect(card.style.visibility).toBe('visible');
+});
+
+test('flips to the left of the node at the right edge', () => {
+  expect(place(createCard(), 700, 300)).toBe('translate(458px, 250px)');
+});
+
+test('clamps to the bottom and top edges', () => {
+  expect(place(createCard(), 100, 580)).toBe('translate(142px, 492px)');
+  expect(place(createCard(), 100, 10)).toBe('translate(142px, 8px)');
+});
+
+test('clamps to the left edge when the flipped card does not fit either', () => {
+  expect(place(createCard({ containerWidth: 300 }), 150, 300)).toBe('translate(8px, 250px)');
+});
+
+test('follows pan, zoom and the SVG offset', () => {
+  const transform = { x: 50, y: -20, k: 2 };
+  const svg = { offsetLeft: 10, offsetTop: 0 };
+  // Centre (260, 580) on screen, radius 60
+  expect(place(createCard(), 100, 300, transform, svg)).toBe('translate(332px, 492px)');
+});
+
+test('does nothing while the card is not laid out', () => {
+  const card = { ...createCard(), offsetParent: null };
+  expect(place(card, 100, 300)).toBeUndefined();
+});
@@ -0,0 +1,47 @@
+import React from "react";
+import "./SearchResults.css";
+
+// Ranked list of search hits; the chosen hit becomes the root of the tree
+const SearchResults = ({ results, query, onSelect }) => {
+  if (!results) return null;
+
+  if (results.length === 0) {
+    return (
+      <p className="search-results-empty">
+        No objects matched "{query}". Try describing it differently.
+      </p>
+    );
+  }
+
+  return (
+    <div className="search-results">
+      <p className="search-results-title">
+        Pick a starting object for "{query}"
+      </p>
+      <ol className="search-results-list">
+        {results.map((result, index) => (
+          <li key={result.id}>
+            <button
+              className="search-result"
+              onClick={() => onSelect(result)}
+              title={result.text_for_embedding}
+            >
+              <span className="search-result-rank">{index + 1}</span>
+              <img src={result.Image} alt={result.text_for_embedding} />
+              <span className="search-result-text">
+                {result.text_for_embedding}
+              </span>
+              <span className="search-result-score">
+                {typeof result.similarityScore === "number"
+                  ? result.similarityScore.toFixed(2)
+                  : "N/A"}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default SearchResults;
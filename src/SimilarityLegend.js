@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+
+// Legend for the link encoding plus the similarity threshold filter, shown
+// from the tree controls
+const SimilarityLegend = ({ scale, threshold, hideSubtrees, onThresholdChange, onHideSubtreesChange }) => {
+  const [open, setOpen] = useState(false);
+  const [min, max] = scale.domain;
+  const stops = [0, 0.25, 0.5, 0.75, 1].map((t) => scale.color(min + (max - min) * t));
+  const samples = scale.ticks(4);
+
+  return (
+    <div className="similarity-legend-wrapper">
+      <button
+        className="reset-view-btn"
+        onClick={() => setOpen((prev) => !prev)}
+        title="Similarity legend and filter"
+        aria-expanded={open}
+      >
+        {threshold > 0 ? `≥ ${threshold.toFixed(2)}` : "Similarity"}
+      </button>
+      {open && (
+        <div className="similarity-legend">
+          <div
+            className="similarity-gradient"
+            style={{ background: `linear-gradient(to right, ${stops.join(", ")})` }}
+          />
+          <div className="similarity-gradient-labels">
+            <span>{min.toFixed(2)}</span>
+            <span>{max.toFixed(2)}</span>
+          </div>
+          <svg className="similarity-widths" width="100%" height={samples.length * 14} aria-hidden="true">
+            {samples.map((score, i) => (
+              <g key={score} transform={`translate(0, ${i * 14 + 7})`}>
+                <line
+                  x1="0"
+                  x2="60"
+                  stroke={scale.color(score)}
+                  strokeWidth={scale.width(score)}
+                />
+                <text x="70" dominantBaseline="middle" fill="#ccc" fontSize="11">
+                  {score.toFixed(2)}
+                </text>
+              </g>
+            ))}
+          </svg>
+          <label>
+            Hide below
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={threshold}
+              onChange={(e) => onThresholdChange(Number(e.target.value))}
+            />
+            <output>{threshold.toFixed(2)}</output>
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={hideSubtrees}
+              onChange={(e) => onHideSubtreesChange(e.target.checked)}
+            />
+            Hide their subtrees too
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimilarityLegend;
@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+
+// Export options popover shown from the tree controls
+const TreeExportMenu = ({ onExport }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [format, setFormat] = useState("svg");
+  const [scale, setScale] = useState(2);
+  const [transparent, setTransparent] = useState(false);
+  const [includeLabels, setIncludeLabels] = useState(true);
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      await onExport({ format, scale, transparent, includeLabels });
+      setOpen(false);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-menu-wrapper">
+      <button
+        className="reset-view-btn"
+        onClick={() => setOpen((prev) => !prev)}
+        title="Export the whole tree as an image"
+        aria-expanded={open}
+      >
+        ⬇ Export
+      </button>
+      {open && (
+        <div className="export-menu">
+          <label>
+            Format
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              <option value="svg">SVG</option>
+              <option value="png">PNG</option>
+            </select>
+          </label>
+          {format === "png" && (
+            <label>
+              Scale
+              <select value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+                <option value={1}>1×</option>
+                <option value={2}>2×</option>
+                <option value={4}>4×</option>
+              </select>
+            </label>
+          )}
+          <label>
+            <input
+              type="checkbox"
+              checked={transparent}
+              onChange={(e) => setTransparent(e.target.checked)}
+            />
+            Transparent background
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={includeLabels}
+              onChange={(e) => setIncludeLabels(e.target.checked)}
+            />
+            Similarity labels
+          </label>
+          <button className="reset-view-btn" onClick={handleExport} disabled={busy}>
+            {busy ? "Exporting…" : "Download"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TreeExportMenu;
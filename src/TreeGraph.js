@@ -1,11 +1,32 @@
-import React, { useState, useEffect, useRef, useImperativeHandle } from "react";
+import React, { useState, useEffect, useRef, useImperativeHandle, useMemo } from "react";
 import { Node } from "./Node.js";
-import { updatePhysics } from "./physics.js";
+import { createPhysicsRunner } from "./physicsRunner.js";
+import { createSimulation, SIMULATION_CONFIG } from "./simulation.js";
 import "./treestyle.css";
 import * as d3 from "d3";
+import TreeExportMenu from "./TreeExportMenu";
+import { exportTreeAsSvg, exportTreeAsPng, downloadBlob } from "./treeImageExport";
+import { LAYOUTS, computeLayout, stepTowardsLayout } from "./treeLayouts";
+import { PHYSICS_CONFIG } from "./physics.js";
+import TuningPanel from "./TuningPanel";
+import { findNeighbour, pathFromRoot, treeItemPosition, describeNode } from "./treeNavigation";
+import NodePreviewCard, { positionPreviewCard } from "./NodePreviewCard";
+import { createSimilarityScale, filterBySimilarity } from "./similarityScale";
+import SimilarityLegend from "./SimilarityLegend";
+import { countDescendants, collectSubtree, findCollapsedHidden } from "./subtreeActions";
+import TreeMinimap from "./TreeMinimap";
+import TreeSearchBox from "./TreeSearchBox";
+import {
+  createSession,
+  diffSessions,
+  selectTreeNodes,
+  selectCrossLinks,
+  selectSelectedObject,
+} from "./explorationSession";
+import { findMatchingNodes } from "./treeSearch";
 
-// Tree configuration constants
-const TREE_CONFIG = {
+// Default tree configuration; override per instance with the treeConfig prop
+export const TREE_CONFIG = {
   // Zoom settings
   MIN_ZOOM: 0.2,
   MAX_ZOOM: 2.0,
@@ -20,35 +41,34 @@ const TREE_CONFIG = {
   PADDING: 100,
   TRANSITION_DURATION: 750,
   NODE_RADIUS: 30,
-  
-  // Physics
-  WIND_FORCE_MULTIPLIER: 0.00065,
-  WIND_FORCE_BASE: 0.12
+
+  // Similarity encoding of links
+  SIMILARITY_DOMAIN: [0, 1], // Scores mapped onto the ranges below (clamped)
+  EDGE_WIDTH_RANGE: [1, 6],
+  EDGE_COLOR_RANGE: ["#555555", "#61dafb"],
+  LABEL_MIN_ZOOM: 0.8 // Similarity labels are hidden below this zoom level
 };
 
 // Input validation function
-const validateProps = ({ searchHistory, similarRecords, onNodeSelect, activeNode }) => {
+const validateProps = ({ session, onNodeSelect }) => {
   const errors = [];
   
-  if (!Array.isArray(searchHistory)) {
-    errors.push('searchHistory must be an array');
+  if (!session || !session.tree) {
+    errors.push('session must be an exploration session');
   }
   
   if (typeof onNodeSelect !== 'function') {
     errors.push('onNodeSelect must be a function');
   }
   
-  if (similarRecords && typeof similarRecords !== 'object') {
-    errors.push('similarRecords must be an object');
-  }
-  
   return errors;
 };
 
-// Safe data access helper
-const safeGetSimilarRecords = (targetObject, similarRecords) => {
-  if (!targetObject?.id || !similarRecords) return null;
-  return similarRecords[targetObject.id] || null;
+// A tree node and a record (or another node) are the same museum object when
+// their database ids match; description text is only a fallback without ids
+const isSameObject = (node, other) => {
+  if (node.id != null && other.id != null) return String(node.id) === String(other.id);
+  return node.description === (other.text_for_embedding ?? other.description);
 };
 
 // Debug utility
@@ -72,11 +92,17 @@ const createDebugLogger = (componentName) => {
   };
 };
 
+const debug = createDebugLogger('TreeGraph');
+
 export const TreeGraph = React.forwardRef(({
-  searchHistory,
-  similarRecords,
+  session, // Exploration session (explorationSession.js) the tree is built from
   onNodeSelect,
-  activeNode,
+  onPrune, // Called with (removedNodes, parentNode) when the user prunes a subtree; the nodes go once the session drops them
+  onActivePathChange, // Called with [{ id, description, image, similarityScore }] from the root to the active node
+  initialTree,
+  physicsSeed = SIMULATION_CONFIG.DEFAULT_SEED,
+  physicsConfig, // Partial overrides of PHYSICS_CONFIG
+  treeConfig, // Partial overrides of TREE_CONFIG
   testRef,
 }, ref) => {
   const containerRef = useRef(null); // Reference to the div container
@@ -86,15 +112,100 @@ export const TreeGraph = React.forwardRef(({
     height: 0,
   }); // Default size
   const [links, setLinks] = useState([]);
-  const nodesRef = useRef([]);
-  const windForceRef = useRef(0);
+  const nodesRef = useRef([]); // Replaced rather than mutated when nodes come or go, so caches can key on it
+  const syncedSessionRef = useRef(createSession()); // Session the nodes were last built from
+  const linksRef = useRef([]); // Links active in the current mode, read by the simulation and renderer each frame
+  const [graphMode, setGraphMode] = useState(false); // Show cross-links between branches
+  const simulationRef = useRef(null); // Seeded, fixed-step simulation driving the physics runner
+  const [windEnabled, setWindEnabled] = useState(true);
+  const [tuning, setTuning] = useState(() => ({
+    physics: { ...PHYSICS_CONFIG, ...physicsConfig },
+    tree: { ...TREE_CONFIG, ...treeConfig },
+  })); // Live physics/tree settings, edited through the TuningPanel
+  const treeConfigRef = useRef(tuning.tree); // Current tree settings for callbacks and the animation loop
+  treeConfigRef.current = tuning.tree;
+  const [pinnedCount, setPinnedCount] = useState(0); // Number of nodes pinned by the user
+  const [pinOnDrop, setPinOnDrop] = useState(true); // Keep dragged nodes pinned where they're dropped
+  const pinOnDropRef = useRef(pinOnDrop);
+  pinOnDropRef.current = pinOnDrop;
+  const [contextMenu, setContextMenu] = useState(null); // { node, x, y } of an open node menu
+  const focusedNodeRef = useRef(null); // Node holding keyboard focus (roving tabindex)
+  const activeNode = selectSelectedObject(session); // Record of the selected object
+  const activeNodeRef = useRef(activeNode); // Latest activeNode for aria-selected in the animation loop
+  activeNodeRef.current = activeNode;
+  const onActivePathChangeRef = useRef(onActivePathChange); // Latest callback, so a new function doesn't re-report the path
+  onActivePathChangeRef.current = onActivePathChange;
+  const [announcement, setAnnouncement] = useState(''); // Live-region text for screen readers
+  const [previewNode, setPreviewNode] = useState(null); // Node shown in the hover/long-press preview card
+  const previewNodeRef = useRef(null);
+  const previewCardRef = useRef(null);
+  const longPressRef = useRef({ timer: null, fired: false }); // Touch long-press state
+  const minimapRef = useRef(null); // Corner overview, redrawn every frame
+  const renderedNodesRef = useRef([]); // Nodes drawn in the last frame (not collapsed or filtered out)
+  const handlersRef = useRef(null); // Latest event handlers, assigned below once they are defined
+  const [searchQuery, setSearchQuery] = useState(''); // Find-in-tree query
+  const [searchMatches, setSearchMatches] = useState([]);
+  const [searchIndex, setSearchIndex] = useState(-1); // Result the camera last flew to
+  const searchMatchesRef = useRef(null); // Set of matching nodes while a query is active
+  const searchCurrentRef = useRef(null);
+  const [similarityFilter, setSimilarityFilter] = useState({ threshold: 0, hideSubtrees: false });
+  const similarityFilterRef = useRef(similarityFilter);
+  similarityFilterRef.current = similarityFilter;
+  const similarityScale = useMemo(() => createSimilarityScale({
+    domain: tuning.tree.SIMILARITY_DOMAIN,
+    widthRange: tuning.tree.EDGE_WIDTH_RANGE,
+    colorRange: tuning.tree.EDGE_COLOR_RANGE,
+  }), [tuning.tree.SIMILARITY_DOMAIN, tuning.tree.EDGE_WIDTH_RANGE, tuning.tree.EDGE_COLOR_RANGE]);
+  const similarityScaleRef = useRef(similarityScale);
+  similarityScaleRef.current = similarityScale;
+
+  // Cross-links only take part in physics and drawing in graph mode
+  const activeLinks = useMemo(
+    () => (graphMode ? links : links.filter(link => !link.crossLink)),
+    [links, graphMode]
+  );
+  linksRef.current = activeLinks;
+
+  // What physics and rendering see: everything outside collapsed subtrees.
+  // Cached so the physics runner only resyncs when something actually changed.
+  const collapseVersionRef = useRef(0); // Bumped on every collapse/expand
+  const [, setCollapseVersion] = useState(0);
+  const physicsViewRef = useRef(null);
+  const getPhysicsView = () => {
+    const nodes = nodesRef.current;
+    const cached = physicsViewRef.current;
+    if (
+      cached &&
+      cached.sourceNodes === nodes &&
+      cached.sourceLinks === linksRef.current &&
+      cached.version === collapseVersionRef.current
+    ) {
+      return cached;
+    }
+    const hidden = findCollapsedHidden(nodes);
+    physicsViewRef.current = {
+      sourceNodes: nodes,
+      sourceLinks: linksRef.current,
+      version: collapseVersionRef.current,
+      hidden,
+      nodes: hidden.size ? nodes.filter(node => !hidden.has(node)) : nodes,
+      links: hidden.size
+        ? linksRef.current.filter(link => !hidden.has(link.source) && !hidden.has(link.target))
+        : linksRef.current,
+    };
+    return physicsViewRef.current;
+  };
   const [transform, setTransform] = useState({ x: 0, y: 0, k: 1 }); // Pan and zoom state
   const zoomRef = useRef(null); // Reference to the zoom behavior
   const [maxDepth, setMaxDepth] = useState(0); // Track maximum tree depth
   const [hasError, setHasError] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const rootNodeRef = useRef(null); // Optimize root node lookup
-  const debug = createDebugLogger('TreeGraph');
+  const frameRef = useRef(null); // Pending requestAnimationFrame id
+  const [layout, setLayout] = useState('physics'); // Active layout engine (see LAYOUTS)
+  const layoutRef = useRef('physics'); // Layout as seen by the animation loop
+  const layoutTargetsRef = useRef(null); // Cached target positions for non-physics layouts
+  const physicsRef = useRef(null); // Physics runner (Web Worker, or main thread as fallback)
 
   // Error handler
   const handleError = (error, errorInfo) => {
@@ -221,7 +332,7 @@ export const TreeGraph = React.forwardRef(({
       });
       
       svg.transition()
-        .duration(TREE_CONFIG.TRANSITION_DURATION)
+        .duration(treeConfigRef.current.TRANSITION_DURATION)
         .call(zoomRef.current.transform, targetTransform)
         .on("end", () => {
           debug.log('smoothMoveToNode: Smooth transition completed');
@@ -254,17 +365,17 @@ export const TreeGraph = React.forwardRef(({
     
     if (nodesRef.current.length === 1) {
       // Single node case
-      finalZoom = TREE_CONFIG.DEFAULT_ZOOM;
+      finalZoom = treeConfigRef.current.DEFAULT_ZOOM;
       debug.log('autoZoomForDepth: Single node case, zoom:', finalZoom);
     } else {
       // Multi-node case - calculate based on tree height
-      const estimatedTreeHeight = newMaxDepth * TREE_CONFIG.EDGE_LENGTH;
+      const estimatedTreeHeight = newMaxDepth * treeConfigRef.current.EDGE_LENGTH;
       
       // Calculate zoom to fit the estimated tree height with some padding
-      const zoomToFit = (svgHeight - TREE_CONFIG.PADDING * 2) / estimatedTreeHeight;
+      const zoomToFit = (svgHeight - treeConfigRef.current.PADDING * 2) / estimatedTreeHeight;
       
       // Use a reasonable zoom range
-      finalZoom = Math.max(TREE_CONFIG.MIN_ZOOM, Math.min(TREE_CONFIG.MAX_ZOOM, zoomToFit));
+      finalZoom = Math.max(treeConfigRef.current.MIN_ZOOM, Math.min(treeConfigRef.current.MAX_ZOOM, zoomToFit));
       
       debug.log('autoZoomForDepth: Multi-node case', {
         estimatedTreeHeight,
@@ -292,7 +403,7 @@ export const TreeGraph = React.forwardRef(({
     });
     
     svg.transition()
-      .duration(TREE_CONFIG.TRANSITION_DURATION)
+      .duration(treeConfigRef.current.TRANSITION_DURATION)
       .call(zoomRef.current.transform, targetTransform)
       .on("end", () => {
         debug.log('autoZoomForDepth: Zoom transition completed');
@@ -307,107 +418,92 @@ export const TreeGraph = React.forwardRef(({
       });
   };
 
-  const updateTreeFromHistory = (searchHistory, similarRecords, activeNode) => {
-    if (!searchHistory.length) return;
+  // Drop the nodes of objects the session took out of its tree (a pruned
+  // subtree, or a whole tree replaced by a new search) with their descendants
+  const removeNodesGoneFromSession = (ids) => {
+    const gone = new Set(ids.map(String));
+    const removed = new Set(
+      nodesRef.current.filter((node) => node.id != null && gone.has(String(node.id))).flatMap(collectSubtree)
+    );
+    if (!removed.size) return;
 
-    // Track newly created nodes for smooth transitions
-    const newlyCreatedNodes = [];
+    removed.forEach((node) => {
+      const parent = node.parentNode;
+      if (parent && !removed.has(parent)) parent.childNodes.splice(parent.childNodes.indexOf(node), 1);
+    });
+    nodesRef.current = nodesRef.current.filter((node) => !removed.has(node));
+    setLinks((prevLinks) => prevLinks.filter((link) => !removed.has(link.source) && !removed.has(link.target)));
+    if (removed.has(rootNodeRef.current)) rootNodeRef.current = null;
+    if (removed.has(focusedNodeRef.current)) focusedNodeRef.current = null;
+    if (removed.has(previewNodeRef.current)) hidePreview();
+    setPinnedCount(nodesRef.current.filter(n => n.pinned).length);
+    setMaxDepth(calculateMaxDepth(nodesRef.current));
+    debug.log('Removed nodes gone from the session:', { removed: removed.size });
+  };
 
-    // 1️⃣ Ensure Root Node Exists
-    let rootNode = nodesRef.current.find(
-      (node) => node.description === searchHistory[0].text_for_embedding
+  // Create Nodes for objects the session has added to the tree, and links for
+  // its new cross-links. Nodes are matched to session objects by id.
+  const updateTreeFromSession = (session) => {
+    const nodesById = new Map(
+      nodesRef.current.filter((node) => node.id != null).map((node) => [String(node.id), node])
     );
-    if (!rootNode) {
-      // Position root node at origin (0,0) - we'll center the view on it
-      rootNode = new Node(
-        { x: 0, y: 0 },
-        { x: 0, y: 0 },
-        searchHistory[0].text_for_embedding,
-        searchHistory[0].Image,
-        null, // Root has no parent
-        searchHistory[0].id // Pass the database ID
-      );
-      nodesRef.current.push(rootNode);
-      rootNodeRef.current = rootNode; // Store reference for optimization
-      newlyCreatedNodes.push(rootNode);
-    }
+    const newlyCreatedNodes = [];
+    const newLinks = [];
+    const spawned = new Map(); // Parent node -> number of children created so far in this pass
 
-    // Find the active node in our tree - this will be the parent for new children
-    let parentNode = rootNode; // Default to root
-    if (activeNode) {
-      const activeNodeInTree = nodesRef.current.find(
-        (node) => node.description === activeNode.description
-      );
-      if (activeNodeInTree) {
-        parentNode = activeNodeInTree;
+    selectTreeNodes(session).forEach(({ id, parentId, similarityScore, record }) => {
+      if (nodesById.has(String(id))) return;
+      const parentNode = parentId === null ? null : nodesById.get(String(parentId));
+      if (parentId !== null && !parentNode) return; // Parent was never drawn (e.g. an id-less restored node)
+
+      let position = { x: 0, y: 0 }; // The root sits at the origin; the view is centred on it
+      if (parentNode) {
+        const siblingsToSpawn = session.tree.nodes[String(parentId)].childIds.length;
+        const i = spawned.get(parentNode) || 0;
+        spawned.set(parentNode, i + 1);
+        position = {
+          x: parentNode.position.x + (i - Math.floor(siblingsToSpawn / 2)) * treeConfigRef.current.CHILD_SPREAD,
+          y: parentNode.position.y + treeConfigRef.current.CHILD_OFFSET_Y,
+        };
       }
-    }
 
-    // 🟢 **Attach Similar Objects to the Active Node**
-    // Find the object that corresponds to the active node to get its similar objects
-    let targetObject = null;
-    
-    // If we have an active node, find the corresponding object in search history
-    if (activeNode) {
-      targetObject = searchHistory.find(
-        (item) => item.text_for_embedding === activeNode.description
+      const node = new Node(
+        position,
+        { x: 0, y: 0 },
+        record?.text_for_embedding ?? "",
+        record?.Image ?? null,
+        parentNode,
+        id // Pass the database ID
       );
-    }
-    
-    // Fallback to the last object in search history if no active node match
-    if (!targetObject) {
-      targetObject = searchHistory[searchHistory.length - 1];
-    }
-    
-    const similarRecordsForTarget = safeGetSimilarRecords(targetObject, similarRecords);
-    if (similarRecordsForTarget) {
-      // Filter out similar objects that already exist anywhere in the tree
-      const filteredSimilarObjects = similarRecordsForTarget.filter((similarObject) => {
-        // Check if this object already exists anywhere in the tree
-        const existsInTree = nodesRef.current.some(
-          (node) => node.description === similarObject.text_for_embedding
-        );
-        return !existsInTree;
-      });
-
-      filteredSimilarObjects.forEach((similarObject, i) => {
-        // ✅ Prevent adding the parent node as its own child
-        if (parentNode.description === similarObject.text_for_embedding) {
-          return;
-        }
+      node.extends = treeConfigRef.current.NODE_RADIUS;
+      nodesById.set(String(id), node);
+      newlyCreatedNodes.push(node);
+      if (parentNode) {
+        parentNode.childNodes.push(node);
+        newLinks.push({ source: parentNode, target: node, similarityScore: similarityScore || 0 });
+      } else {
+        rootNodeRef.current = node; // Store reference for optimization
+      }
+    });
 
+    if (newlyCreatedNodes.length) nodesRef.current = [...nodesRef.current, ...newlyCreatedNodes];
 
-        const childPosition = {
-          x:
-            parentNode.position.x +
-            (i - Math.floor(filteredSimilarObjects.length / 2)) * TREE_CONFIG.CHILD_SPREAD,
-          y: parentNode.position.y + TREE_CONFIG.CHILD_OFFSET_Y,
-        };
+    // Cross-links (shown in graph mode) join objects that are already elsewhere in the tree
+    selectCrossLinks(session).forEach(({ sourceId, targetId, similarityScore }) => {
+      const source = nodesById.get(String(sourceId));
+      const target = nodesById.get(String(targetId));
+      if (source && target) newLinks.push({ source, target, similarityScore: similarityScore || 0, crossLink: true });
+    });
 
-        // ✅ Attach similarObject node to the active parent node
-        const childNode = new Node(
-          childPosition,
-          { x: 0, y: 0 },
-          similarObject.text_for_embedding,
-          similarObject.Image,
-          parentNode,
-          similarObject.id // Pass the database ID
+    if (newLinks.length) {
+      // Skip pairs that are already connected, in either direction
+      const connects = (link, a, b) =>
+        (link.source === a && link.target === b) || (link.source === b && link.target === a);
+      setLinks((prevLinks) => {
+        const added = newLinks.filter(
+          (newLink) => !prevLinks.some((link) => connects(link, newLink.source, newLink.target))
         );
-        parentNode.childNodes.push(childNode);
-        nodesRef.current.push(childNode);
-        newlyCreatedNodes.push(childNode);
-
-        const newLink = { 
-          source: parentNode, 
-          target: childNode,
-          similarityScore: similarObject.similarityScore || 0
-        };
-        
-        
-        setLinks((prevLinks) => [
-          ...prevLinks,
-          newLink
-        ]);
+        return added.length ? [...prevLinks, ...added] : prevLinks;
       });
     }
 
@@ -416,10 +512,70 @@ export const TreeGraph = React.forwardRef(({
   };
 
 
-  // Hook to ensure tree updates dynamically when history changes
+  // Step physics off the main thread for the lifetime of the graph
+  useEffect(() => {
+    const runner = createPhysicsRunner();
+    physicsRef.current = runner;
+    simulationRef.current = createSimulation({
+      nodes: () => getPhysicsView().nodes,
+      links: () => getPhysicsView().links,
+      seed: physicsSeed,
+      stepPhysics: runner.step,
+    });
+    debug.log('Physics runner started:', { usesWorker: runner.usesWorker, seed: physicsSeed });
+    return () => {
+      runner.dispose();
+      physicsRef.current = null;
+      simulationRef.current = null;
+    };
+  }, [physicsSeed]);
+
+  useEffect(() => {
+    simulationRef.current?.setWindEnabled(windEnabled);
+  }, [windEnabled, physicsSeed]);
+
+  // New config props replace whatever was tuned in the panel
+  useEffect(() => {
+    setTuning({
+      physics: { ...PHYSICS_CONFIG, ...physicsConfig },
+      tree: { ...TREE_CONFIG, ...treeConfig },
+    });
+  }, [physicsConfig, treeConfig]);
+
+  useEffect(() => {
+    simulationRef.current?.setConfig(tuning.physics);
+  }, [tuning.physics, physicsSeed]);
+
+  // Node radius drives both drawing and collisions, so resize existing nodes
+  useEffect(() => {
+    nodesRef.current.forEach(node => {
+      node.extends = tuning.tree.NODE_RADIUS;
+    });
+    physicsRef.current?.resize(nodesRef.current);
+  }, [tuning.tree.NODE_RADIUS]);
+
+  // Restore a saved tree before history is applied; this must stay above the
+  // history effect so the restored nodes are found instead of recreated
+  useEffect(() => {
+    if (!initialTree) return;
+    nodesRef.current = [...initialTree.nodes];
+    rootNodeRef.current = initialTree.rootNode;
+    setPinnedCount(initialTree.nodes.filter(node => node.pinned).length);
+    setLinks([...initialTree.links]);
+    setMaxDepth(calculateMaxDepth(initialTree.nodes));
+    debug.log('Restored saved tree:', { nodeCount: initialTree.nodes.length });
+  }, [initialTree]);
+
+  // Follow the session's tree: drop the nodes of objects it removed, then
+  // create nodes for the ones it added
   useEffect(() => {
+    const previousSession = syncedSessionRef.current;
+    if (previousSession.tree === session.tree) return;
+    syncedSessionRef.current = session;
+    handlersRef.current.removeNodesGoneFromSession(diffSessions(previousSession, session).removed);
+
     const previousNodeCount = nodesRef.current.length;
-    const newlyCreatedNodes = updateTreeFromHistory(searchHistory, similarRecords, activeNode);
+    const newlyCreatedNodes = handlersRef.current.updateTreeFromSession(session);
     const currentNodeCount = nodesRef.current.length;
     
     // Check if tree depth has increased and handle view transitions
@@ -448,7 +604,7 @@ export const TreeGraph = React.forwardRef(({
       debug.log('New nodes created, calling smoothMoveToNode for center of:', newlyCreatedNodes.length, 'nodes');
       //smoothMoveToNode(newlyCreatedNodes, 100); // 100ms delay as requested
     }
-  }, [searchHistory, similarRecords, activeNode]); // Removed maxDepth to prevent infinite loops
+  }, [session, maxDepth]); // A maxDepth change alone finds the tree already synced
 
 
   // Update container size dynamically
@@ -471,12 +627,215 @@ export const TreeGraph = React.forwardRef(({
 
   // Handle node clicks
   const handleNodeClick = (_, node) => {
+    // The click that ends a long-press only opens the preview
+    if (longPressRef.current.fired) {
+      longPressRef.current.fired = false;
+      return;
+    }
     node.userSelected = false;
 
     // Notify App.js that a new node was selected
     onNodeSelect(node);
   };
 
+  // Preview cards are display-only: they never select nodes or fetch data
+  const showPreview = (node) => {
+    previewNodeRef.current = node;
+    setPreviewNode(node);
+  };
+
+  const hidePreview = () => {
+    previewNodeRef.current = null;
+    setPreviewNode(null);
+  };
+
+  const cancelLongPress = () => {
+    clearTimeout(longPressRef.current.timer);
+    longPressRef.current.timer = null;
+  };
+
+  // Hover with a mouse, or press and hold with touch/pen, to preview a node
+  const handleNodePointerEnter = (event, node) => {
+    if (event.pointerType === 'mouse') showPreview(node);
+  };
+
+  const handleNodePointerLeave = (event) => {
+    if (event.pointerType === 'mouse') hidePreview();
+  };
+
+  const handleNodePointerDown = (event, node) => {
+    if (event.pointerType === 'mouse') return;
+    cancelLongPress();
+    longPressRef.current.fired = false;
+    longPressRef.current.timer = setTimeout(() => {
+      longPressRef.current.fired = true;
+      showPreview(node);
+    }, 500);
+  };
+
+  // Pin or release a node, keeping the physics runner and pin count in sync
+  const setNodePinned = (node, pinned) => {
+    node.pinned = pinned;
+    physicsRef.current?.pin(node, pinned);
+    setPinnedCount(nodesRef.current.filter(n => n.pinned).length);
+  };
+
+  // Collapse a subtree into its root, or expand it again. Hidden descendants
+  // keep their offsets and follow the node if it moved while collapsed.
+  const setNodeCollapsed = (node, collapsed) => {
+    if (collapsed) {
+      node.collapsedAt = { x: node.position.x, y: node.position.y };
+    } else if (node.collapsedAt) {
+      const dx = node.position.x - node.collapsedAt.x;
+      const dy = node.position.y - node.collapsedAt.y;
+      collectSubtree(node).slice(1).forEach(descendant => {
+        descendant.position.x += dx;
+        descendant.position.y += dy;
+        descendant.velocity.x = 0;
+        descendant.velocity.y = 0;
+      });
+      delete node.collapsedAt;
+    }
+    node.collapsed = collapsed;
+    collapseVersionRef.current += 1;
+    setCollapseVersion(collapseVersionRef.current);
+  };
+
+  // Permanently remove a subtree: App prunes it from the session, and the
+  // session effect above then drops its nodes
+  const pruneNode = (node) => {
+    debug.log('Pruning subtree:', { root: node.description });
+    onPrune?.(collectSubtree(node), node.parentNode);
+  };
+
+  const unpinAll = () => {
+    nodesRef.current.forEach(node => {
+      if (node.pinned) physicsRef.current?.pin(node, false);
+      node.pinned = false;
+    });
+    setPinnedCount(0);
+    setContextMenu(null);
+  };
+
+  // Right-click on a node opens its pin menu next to the pointer
+  const handleNodeContextMenu = (event, node) => {
+    event.preventDefault();
+    const bounds = containerRef.current.getBoundingClientRect();
+    setContextMenu({ node, x: event.clientX - bounds.left, y: event.clientY - bounds.top });
+  };
+
+  // Close the node menu on Escape or a click anywhere else
+  useEffect(() => {
+    if (!contextMenu) return;
+    const close = (event) => {
+      if (event.type === 'keydown' && event.key !== 'Escape') return;
+      if (event.target.closest?.('.node-context-menu')) return;
+      setContextMenu(null);
+    };
+    window.addEventListener('pointerdown', close);
+    window.addEventListener('keydown', close);
+    return () => {
+      window.removeEventListener('pointerdown', close);
+      window.removeEventListener('keydown', close);
+    };
+  }, [contextMenu]);
+
+  // Re-run the search when the query or the tree changes, keeping the current
+  // result selected if it still matches
+  useEffect(() => {
+    const matches = findMatchingNodes(nodesRef.current, searchQuery);
+    searchMatchesRef.current = matches && new Set(matches);
+    const index = matches ? matches.indexOf(searchCurrentRef.current) : -1;
+    if (index === -1) searchCurrentRef.current = null;
+    setSearchMatches(matches || []);
+    setSearchIndex(index);
+  }, [searchQuery, links]);
+
+  // Expand any collapsed ancestors hiding a node and centre the view on it
+  const revealNode = (node) => {
+    for (let ancestor = node.parentNode; ancestor; ancestor = ancestor.parentNode) {
+      if (ancestor.collapsed) setNodeCollapsed(ancestor, false);
+    }
+    smoothMoveToNode(node, 0);
+  };
+
+  // Report the path from the root to the active node (for the breadcrumbs)
+  useEffect(() => {
+    if (!onActivePathChangeRef.current) return;
+    const node = activeNode && nodesRef.current.find(n => isSameObject(n, activeNode));
+    const path = node ? pathFromRoot(node) : [];
+    onActivePathChangeRef.current(path.map(n => ({
+      id: n.id,
+      description: n.description,
+      image: n.image,
+      similarityScore: links.find(link => link.target === n && !link.crossLink)?.similarityScore,
+    })));
+  }, [activeNode, links]);
+
+  // Fly to the next or previous search result
+  const stepSearch = (delta) => {
+    const count = searchMatches.length;
+    if (!count) return;
+    const index = searchIndex === -1
+      ? (delta > 0 ? 0 : count - 1)
+      : (searchIndex + delta + count) % count;
+    const node = searchMatches[index];
+    searchCurrentRef.current = node;
+    setSearchIndex(index);
+    revealNode(node);
+    setAnnouncement(`Result ${index + 1} of ${count}: ${node.description}`);
+  };
+
+  // Focus moved to a node: remember it, announce it and, when focus came from
+  // the keyboard rather than a click, follow it with the camera
+  const handleNodeFocus = (event, node) => {
+    if (focusedNodeRef.current === node) return;
+    focusedNodeRef.current = node;
+    if (event.target.matches?.(':focus-visible')) smoothMoveToNode(node, 0);
+    const link = linksRef.current.find(l => l.target === node && !l.crossLink);
+    setAnnouncement(describeNode(node, link?.similarityScore));
+  };
+
+  // Latest handlers for callbacks that outlive the render that bound them: D3
+  // listeners, the imperative handle and the session effect
+  handlersRef.current = {
+    removeNodesGoneFromSession,
+    updateTreeFromSession,
+    revealNode,
+    handleNodeClick,
+    handleNodeFocus,
+    handleNodePointerEnter,
+    handleNodePointerLeave,
+    handleNodePointerDown,
+  };
+
+  const focusNodeElement = (node) => {
+    const element = d3
+      .select(svgRef.current)
+      .selectAll("g.node-group")
+      .filter(d => d === node)
+      .node();
+    element?.focus();
+  };
+
+  // Arrow keys move between parent, children and siblings; Enter/Space selects
+  const handleTreeKeyDown = (event) => {
+    const current = focusedNodeRef.current;
+    if (!current) return;
+
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      handleNodeClick(event, current);
+      return;
+    }
+
+    const next = findNeighbour(current, event.key);
+    if (next) {
+      event.preventDefault();
+      focusNodeElement(next);
+    }
+  };
+
   // Reset view to center and default zoom
   const resetView = () => {
     if (svgRef.current && containerSize.width > 0 && zoomRef.current) {
@@ -493,7 +852,7 @@ export const TreeGraph = React.forwardRef(({
           .scale(1);
         
         svg.transition()
-          .duration(TREE_CONFIG.TRANSITION_DURATION)
+          .duration(treeConfigRef.current.TRANSITION_DURATION)
           .call(zoomRef.current.transform, resetTransform);
       } else {
         // No nodes yet, just center the view
@@ -502,14 +861,50 @@ export const TreeGraph = React.forwardRef(({
           .scale(1);
         
         svg.transition()
-          .duration(TREE_CONFIG.TRANSITION_DURATION)
+          .duration(treeConfigRef.current.TRANSITION_DURATION)
           .call(zoomRef.current.transform, resetTransform);
       }
     }
   };
 
+  // Switch layout engine; nodes animate from where they are to the new layout
+  const handleLayoutChange = (newLayout) => {
+    layoutRef.current = newLayout;
+    layoutTargetsRef.current = null;
+    setLayout(newLayout);
+
+    if (newLayout === 'physics') {
+      // Let the springs settle around the current positions instead of
+      // swinging links back to the angles they had before the switch
+      linksRef.current.forEach(link => {
+        delete link.initialAngle;
+      });
+      nodesRef.current.forEach(node => {
+        node.velocity.x = 0;
+        node.velocity.y = 0;
+      });
+      physicsRef.current?.resync(nodesRef.current, linksRef.current);
+    }
+  };
+
+  // Export the whole drawn tree (not just the viewport) as SVG or PNG
+  const handleExport = async ({ format, ...options }) => {
+    if (!svgRef.current) return;
+    try {
+      const blob = format === "png"
+        ? await exportTreeAsPng(svgRef.current, renderedNodesRef.current, options)
+        : await exportTreeAsSvg(svgRef.current, renderedNodesRef.current, options);
+      downloadBlob(blob, `exploration-tree-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (error) {
+      debug.error('Tree export failed', error);
+    }
+  };
 
   useEffect(() => {
+    // D3 keeps its listeners until links or size change, so they look up the
+    // handler of the latest render when they fire
+    const latestHandler = (name) => (event, d) => handlersRef.current[name](event, d);
+
     const svg = d3
       .select(svgRef.current)
       .attr("width", containerSize.width)
@@ -534,6 +929,11 @@ export const TreeGraph = React.forwardRef(({
     // Apply zoom behavior to the SVG
     svg.call(zoom);
 
+    // Touching the background dismisses a long-press preview
+    svg.on("pointerdown.preview", (event) => {
+      if (!event.target.closest(".node-group")) hidePreview();
+    });
+
     // Set initial view - will be centered when real tree data loads
     const initialTransform = d3.zoomIdentity
       .translate(containerSize.width / 2, containerSize.height / 2)
@@ -545,37 +945,100 @@ export const TreeGraph = React.forwardRef(({
     
 
 
+
+    // Dragging a node holds it in place; it is pinned once it actually moves
+    // (so plain clicks still select) and stays pinned on drop if pinOnDrop is set
+    let dragState = null;
+    const drag = d3.drag()
+      .subject((event, d) => ({ x: d.position.x, y: d.position.y }))
+      .on("start", (event, d) => {
+        dragState = { wasPinned: d.pinned, moved: false };
+        setContextMenu(null);
+      })
+      .on("drag", (event, d) => {
+        d.position.x = event.x;
+        d.position.y = event.y;
+        d.velocity.x = 0;
+        d.velocity.y = 0;
+        if (!dragState.moved) {
+          dragState.moved = true;
+          cancelLongPress();
+          hidePreview();
+          setNodePinned(d, true);
+        } else {
+          physicsRef.current?.pin(d, true);
+        }
+      })
+      .on("end", (event, d) => {
+        if (dragState.moved && !dragState.wasPinned && !pinOnDropRef.current) {
+          setNodePinned(d, false);
+        }
+        dragState = null;
+      });
+
     const animate = () => {
       // Only animate if we have nodes
       if (nodesRef.current.length > 0) {
-        // Generate a smooth wind force
-        windForceRef.current = [
-          Math.sin(Date.now() / 5000) * TREE_CONFIG.WIND_FORCE_MULTIPLIER +
-            Math.sin(Date.now() / 10000 + 213) * 0.00005 +
-            Math.sin(Date.now() / 500 + 0.42) * 0.0006 +
-            Math.sin(Date.now() / 5 + 0.1) * 0.00005 +
-            Math.sin(Date.now() / 5 + 0.16) * 0.00002,
-          TREE_CONFIG.WIND_FORCE_BASE,
-        ]; // Smooth oscillating force
-        updatePhysics(nodesRef.current, links, windForceRef.current);
+        if (layoutRef.current === 'physics') {
+          // One fixed step per frame with seeded wind (see simulation.js)
+          simulationRef.current?.step();
+        } else {
+          // Recompute targets when the layout or the tree changes, then ease towards them
+          const cached = layoutTargetsRef.current;
+          if (
+            !cached ||
+            cached.layout !== layoutRef.current ||
+            cached.sourceNodes !== nodesRef.current ||
+            cached.collapseVersion !== collapseVersionRef.current
+          ) {
+            const rootNode = rootNodeRef.current || nodesRef.current.find(node => node.parentNode === null);
+            layoutTargetsRef.current = {
+              layout: layoutRef.current,
+              sourceNodes: nodesRef.current,
+              collapseVersion: collapseVersionRef.current,
+              targets: computeLayout(layoutRef.current, rootNode),
+            };
+          }
+          if (layoutTargetsRef.current.targets) {
+            stepTowardsLayout(nodesRef.current, layoutTargetsRef.current.targets);
+          }
+        }
       }
       
+      // While searching, everything but the matches and the links between them is dimmed
+      const searchMatchSet = searchMatchesRef.current;
+      const isDimmedBySearch = (d) =>
+        !!searchMatchSet && !(searchMatchSet.has(d.source) && searchMatchSet.has(d.target));
+
       // Render links
+      const { threshold, hideSubtrees } = similarityFilterRef.current;
+      const view = getPhysicsView();
+      const currentLinks = view.links;
+      const { hiddenLinks, hiddenNodes } = filterBySimilarity(currentLinks, threshold, hideSubtrees);
+      const visibleLinks = hiddenLinks.size ? currentLinks.filter((link) => !hiddenLinks.has(link)) : currentLinks;
+      const scale = similarityScaleRef.current;
       g.selectAll("line")
-        .data(links)
+        .data(visibleLinks)
         .join("line")
+        .attr("class", (d) => (d.crossLink ? "cross-link" : "tree-link"))
         .attr("x1", (d) => d.source.position.x)
         .attr("y1", (d) => d.source.position.y)
         .attr("x2", (d) => d.target.position.x)
         .attr("y2", (d) => d.target.position.y)
-        .attr("stroke", "white")
-        .attr("stroke-width", 2);
+        .attr("stroke", (d) => scale.color(d.similarityScore))
+        .attr("stroke-width", (d) => scale.width(d.similarityScore))
+        .attr("stroke-dasharray", (d) => (d.crossLink ? "6 4" : null))
+        .attr("stroke-opacity", (d) => (d.crossLink ? 0.7 : null))
+        .classed("search-dimmed", isDimmedBySearch);
 
-      // Render similarity score labels
+      // Render similarity score labels, only when zoomed in far enough to read them
+      const showLabels = d3.zoomTransform(svgRef.current).k >= treeConfigRef.current.LABEL_MIN_ZOOM;
       g.selectAll("text.similarity-label")
-        .data(links)
+        .data(visibleLinks)
         .join("text")
         .attr("class", "similarity-label")
+        .attr("display", showLabels ? null : "none")
+        .classed("search-dimmed", isDimmedBySearch)
         .attr("x", (d) => {
           const midX = (d.source.position.x + d.target.position.x) / 2;
           const midY = (d.source.position.y + d.target.position.y) / 2;
@@ -635,10 +1098,32 @@ export const TreeGraph = React.forwardRef(({
         });
 
       // Render nodes
+      const renderedNodes = hiddenNodes.size ? view.nodes.filter((node) => !hiddenNodes.has(node)) : view.nodes;
+      renderedNodesRef.current = renderedNodes;
       g.selectAll("g.node-group")
-        .data(nodesRef.current)
-        .join("g")
-        .attr("class", "node-group")
+        .data(renderedNodes)
+        .join((enter) => enter.append("g").attr("class", "node-group").call(drag))
+        .on("contextmenu", handleNodeContextMenu)
+        .on("focus", latestHandler("handleNodeFocus"))
+        .on("pointerenter", latestHandler("handleNodePointerEnter"))
+        .on("pointerleave", latestHandler("handleNodePointerLeave"))
+        .on("pointerdown.preview", latestHandler("handleNodePointerDown"))
+        .on("pointerup.preview pointercancel.preview", cancelLongPress)
+        // ARIA tree item; only the focused node (or the root) is in the tab order
+        .attr("role", "treeitem")
+        .attr("aria-label", (d) => d.description)
+        .attr("aria-level", (d) => treeItemPosition(d).level)
+        .attr("aria-posinset", (d) => treeItemPosition(d).position)
+        .attr("aria-setsize", (d) => treeItemPosition(d).setSize)
+        .attr("aria-selected", (d) => !!activeNodeRef.current && isSameObject(d, activeNodeRef.current))
+        .attr("tabindex", (d) => {
+          const focused = focusedNodeRef.current;
+          const isFocusable = focused ? d === focused : d.parentNode === null;
+          return isFocusable ? 0 : -1;
+        })
+        .classed("search-match", (d) => !!searchMatchSet?.has(d))
+        .classed("search-dimmed", (d) => !!searchMatchSet && !searchMatchSet.has(d))
+        .classed("search-current", (d) => d === searchCurrentRef.current)
         .each(function (d) {
           const group = d3.select(this);
 
@@ -650,13 +1135,13 @@ export const TreeGraph = React.forwardRef(({
             .attr("cx", (d) => d.position.x)
             .attr("cy", (d) => d.position.y)
             .attr("r", (d) => {
-              return d.extends || TREE_CONFIG.NODE_RADIUS;
+              return d.extends || treeConfigRef.current.NODE_RADIUS;
             })
             .attr("fill", "white")
             .attr("stroke", "gray")
             .attr("stroke-width", 1)
             .style("cursor", "pointer")
-            .on("click", handleNodeClick);
+            .on("click", latestHandler("handleNodeClick"));
 
           // Render the image inside the circle
           group
@@ -670,15 +1155,81 @@ export const TreeGraph = React.forwardRef(({
             .attr("xlink:href", (d) => d.image)
             .attr("clip-path", "circle()")
             .style("cursor", "pointer")
-            .on("click", handleNodeClick);
+            .on("click", latestHandler("handleNodeClick"));
+
+          // Pin indicator on pinned nodes
+          group
+            .selectAll("text.pin-indicator")
+            .data(d.pinned ? [d] : [])
+            .join("text")
+            .attr("class", "pin-indicator")
+            .attr("x", (d) => d.position.x + d.extends * 0.7)
+            .attr("y", (d) => d.position.y - d.extends * 0.7)
+            .attr("text-anchor", "middle")
+            .attr("dominant-baseline", "middle")
+            .attr("font-size", "14px")
+            .attr("pointer-events", "none")
+            .text("📌");
+
+          // Badge with the number of hidden descendants on collapsed nodes
+          const badge = group
+            .selectAll("g.collapse-badge")
+            .data(d.collapsed ? [d] : [])
+            .join((enter) => {
+              const badgeGroup = enter.append("g").attr("class", "collapse-badge").attr("pointer-events", "none");
+              badgeGroup.append("circle").attr("r", 11).attr("fill", "#61dafb").attr("stroke", "#1a1a1a");
+              badgeGroup
+                .append("text")
+                .attr("text-anchor", "middle")
+                .attr("dominant-baseline", "central")
+                .attr("font-size", "10px")
+                .attr("font-weight", "bold")
+                .attr("fill", "#1a1a1a");
+              return badgeGroup;
+            })
+            .attr(
+              "transform",
+              (d) => `translate(${d.position.x + d.extends * 0.7}, ${d.position.y + d.extends * 0.7})`
+            );
+          badge.select("text").text((d) => `+${countDescendants(d)}`);
         });
 
-      requestAnimationFrame(animate);
+      // Redraw the minimap with the visible tree and the current viewport
+      if (minimapRef.current && svgRef.current) {
+        const t = d3.zoomTransform(svgRef.current);
+        const activeRecord = activeNodeRef.current;
+        minimapRef.current.draw({
+          nodes: renderedNodes,
+          links: visibleLinks.filter((link) => !link.crossLink),
+          viewport: {
+            x: -t.x / t.k,
+            y: -t.y / t.k,
+            width: svgRef.current.clientWidth / t.k,
+            height: svgRef.current.clientHeight / t.k,
+          },
+          activeNode: activeRecord ? renderedNodes.find((node) => isSameObject(node, activeRecord)) : null,
+        });
+      }
+
+      // Keep the preview card beside its node as it moves and the view zooms
+      if (previewCardRef.current && previewNodeRef.current) {
+        positionPreviewCard(
+          previewCardRef.current,
+          previewNodeRef.current,
+          svgRef.current,
+          d3.zoomTransform(svgRef.current)
+        );
+      }
+
+      frameRef.current = requestAnimationFrame(animate);
     };
 
     animate();
 
-    return () => svg.selectAll("*").remove();
+    return () => {
+      cancelAnimationFrame(frameRef.current); // One animation loop per render pass
+      svg.selectAll("*").remove();
+    };
   }, [links, containerSize]);
 
   // Expose methods for testing
@@ -688,13 +1239,18 @@ export const TreeGraph = React.forwardRef(({
     getRootNode: () => rootNodeRef.current,
     triggerAutoZoom: (depth) => autoZoomForDepth(depth),
     smoothMoveToNode: (node, delay) => smoothMoveToNode(node, delay),
+    centreOnObject: (id) => {
+      const node = nodesRef.current.find(n => n.id != null && String(n.id) === String(id));
+      if (node) handlersRef.current.revealNode(node);
+    },
     resetView: () => resetView(),
     getTransform: () => transform,
-    getContainerSize: () => containerSize
-  }), [transform, containerSize]);
+    getContainerSize: () => containerSize,
+    exportTree: () => ({ nodes: [...nodesRef.current], links: [...links] })
+  }), [transform, containerSize, links]);
 
   // Validate props after all hooks
-  const propErrors = validateProps({ searchHistory, similarRecords, onNodeSelect, activeNode });
+  const propErrors = validateProps({ session, onNodeSelect });
   if (propErrors.length > 0) {
     console.error('TreeGraph prop validation failed:', propErrors);
     return <div>Error: Invalid props provided to TreeGraph</div>;
@@ -714,18 +1270,148 @@ export const TreeGraph = React.forwardRef(({
   return (
     <div ref={containerRef} className="tree-container">
       <div className="tree-controls">
-        <button 
-          className="reset-view-btn" 
-          onClick={resetView}
-          title="Reset view to center"
-        >
-          🎯 Reset View
-        </button>
+        <div className="tree-controls-group">
+          <button 
+            className="reset-view-btn" 
+            onClick={resetView}
+            title="Reset view to center"
+          >
+            🎯 Reset View
+          </button>
+          <TreeSearchBox
+            query={searchQuery}
+            matchCount={searchMatches.length}
+            currentIndex={searchIndex}
+            onQueryChange={setSearchQuery}
+            onStep={stepSearch}
+          />
+          <TreeExportMenu onExport={handleExport} />
+          <TuningPanel config={tuning} onChange={setTuning} />
+          <SimilarityLegend
+            scale={similarityScale}
+            threshold={similarityFilter.threshold}
+            hideSubtrees={similarityFilter.hideSubtrees}
+            onThresholdChange={(threshold) => setSimilarityFilter(prev => ({ ...prev, threshold }))}
+            onHideSubtreesChange={(hideSubtrees) => setSimilarityFilter(prev => ({ ...prev, hideSubtrees }))}
+          />
+          <select
+            className="layout-select"
+            value={layout}
+            onChange={(e) => handleLayoutChange(e.target.value)}
+            title="Layout"
+          >
+            {Object.entries(LAYOUTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <label className="tree-toggle" title="Turn the wind on or off">
+            <input
+              type="checkbox"
+              checked={windEnabled}
+              onChange={(e) => setWindEnabled(e.target.checked)}
+            />
+            Wind
+          </label>
+          <label className="tree-toggle" title="Show dashed cross-links when a similar object is already elsewhere in the tree">
+            <input
+              type="checkbox"
+              checked={graphMode}
+              onChange={(e) => setGraphMode(e.target.checked)}
+            />
+            Graph mode
+          </label>
+          <label className="tree-toggle" title="Keep dragged nodes pinned where they are dropped">
+            <input
+              type="checkbox"
+              checked={pinOnDrop}
+              onChange={(e) => setPinOnDrop(e.target.checked)}
+            />
+            Pin on drop
+          </label>
+          {pinnedCount > 0 && (
+            <button className="reset-view-btn" onClick={unpinAll} title="Release all pinned nodes">
+              📌 Unpin all ({pinnedCount})
+            </button>
+          )}
+        </div>
         <div className="zoom-info">
           Zoom: {Math.round(transform.k * 100)}%
         </div>
       </div>
-      <svg ref={svgRef} />
+      <svg
+        ref={svgRef}
+        role="tree"
+        aria-label="Exploration tree. Use the arrow keys to move between objects and Enter to expand one."
+        onKeyDown={handleTreeKeyDown}
+      />
+      <TreeMinimap
+        ref={minimapRef}
+        onNavigate={(x, y) => {
+          if (zoomRef.current && svgRef.current) {
+            d3.select(svgRef.current).call(zoomRef.current.translateTo, x, y);
+          }
+        }}
+      />
+      {previewNode && (
+        <NodePreviewCard
+          ref={previewCardRef}
+          node={previewNode}
+          similarityScore={links.find(link => link.target === previewNode && !link.crossLink)?.similarityScore}
+        />
+      )}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </div>
+      {contextMenu && (
+        <div
+          className="node-context-menu"
+          role="menu"
+          style={{ left: contextMenu.x, top: contextMenu.y }}
+          onContextMenu={(e) => e.preventDefault()}
+        >
+          <button
+            role="menuitem"
+            onClick={() => {
+              setNodePinned(contextMenu.node, !contextMenu.node.pinned);
+              setContextMenu(null);
+            }}
+          >
+            {contextMenu.node.pinned ? "Unpin" : "Pin in place"}
+          </button>
+          <button role="menuitem" onClick={unpinAll} disabled={pinnedCount === 0}>
+            Unpin all
+          </button>
+          {contextMenu.node.childNodes.length > 0 && (
+            <button
+              role="menuitem"
+              onClick={() => {
+                setNodeCollapsed(contextMenu.node, !contextMenu.node.collapsed);
+                setContextMenu(null);
+              }}
+            >
+              {contextMenu.node.collapsed
+                ? "Expand subtree"
+                : `Collapse subtree (${countDescendants(contextMenu.node)})`}
+            </button>
+          )}
+          {contextMenu.node.parentNode && contextMenu.node.id != null && (
+            <button
+              role="menuitem"
+              onClick={() => {
+                const { node } = contextMenu;
+                setContextMenu(null);
+                const count = countDescendants(node);
+                const message = count
+                  ? `Remove this object and the ${count} object${count === 1 ? "" : "s"} below it from the exploration?`
+                  : "Remove this object from the exploration?";
+                if (window.confirm(message)) pruneNode(node);
+              }}
+            >
+              Prune subtree…
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 });
@@ -0,0 +1,108 @@
+import React, { useRef, useImperativeHandle } from "react";
+import { MINIMAP_CONFIG, computeMinimapFrame, worldToMinimap, minimapToWorld } from "./minimapFrame";
+
+export { MINIMAP_CONFIG };
+
+// Corner overview of the whole tree. TreeGraph calls draw() every frame;
+// clicking or dragging reports the world point to centre the main view on.
+const TreeMinimap = React.forwardRef(({ onNavigate }, ref) => {
+  const canvasRef = useRef(null);
+  const frameRef = useRef(null); // Mapping used for the last drawing
+  const draggingRef = useRef(false);
+
+  useImperativeHandle(ref, () => ({
+    draw: ({ nodes, links, viewport, activeNode }) => {
+      const canvas = canvasRef.current;
+      const ctx = canvas?.getContext("2d");
+      if (!ctx) return;
+
+      const ratio = window.devicePixelRatio || 1;
+      if (canvas.width !== MINIMAP_CONFIG.WIDTH * ratio) {
+        canvas.width = MINIMAP_CONFIG.WIDTH * ratio;
+        canvas.height = MINIMAP_CONFIG.HEIGHT * ratio;
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, MINIMAP_CONFIG.WIDTH, MINIMAP_CONFIG.HEIGHT);
+
+      // Keep the mapping still while dragging, so the point under the pointer
+      // doesn't shift as the viewport rectangle moves
+      const frame =
+        draggingRef.current && frameRef.current ? frameRef.current : computeMinimapFrame(nodes, viewport);
+      frameRef.current = frame;
+      const toMinimap = ({ x, y }) => worldToMinimap(frame, x, y);
+
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      links.forEach(({ source, target }) => {
+        const from = toMinimap(source.position);
+        const to = toMinimap(target.position);
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = "#bbbbbb";
+      nodes.forEach((node) => {
+        const { x, y } = toMinimap(node.position);
+        ctx.beginPath();
+        ctx.arc(x, y, MINIMAP_CONFIG.NODE_RADIUS, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+
+      if (activeNode) {
+        ctx.fillStyle = "#61dafb";
+        const { x, y } = toMinimap(activeNode.position);
+        ctx.beginPath();
+        ctx.arc(x, y, MINIMAP_CONFIG.ACTIVE_RADIUS, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+
+      ctx.strokeStyle = "#ffffff";
+      ctx.lineWidth = 1.5;
+      const corner = toMinimap(viewport);
+      ctx.strokeRect(
+        corner.x,
+        corner.y,
+        viewport.width * frame.scale,
+        viewport.height * frame.scale
+      );
+    },
+  }));
+
+  const navigateTo = (event) => {
+    const frame = frameRef.current;
+    if (!frame) return;
+    const bounds = canvasRef.current.getBoundingClientRect();
+    const point = minimapToWorld(frame, event.clientX - bounds.left, event.clientY - bounds.top);
+    onNavigate(point.x, point.y);
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="tree-minimap"
+      style={{ width: MINIMAP_CONFIG.WIDTH, height: MINIMAP_CONFIG.HEIGHT }}
+      aria-label="Tree overview; click or drag to move the view"
+      role="img"
+      onPointerDown={(event) => {
+        draggingRef.current = true;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        navigateTo(event);
+      }}
+      onPointerMove={(event) => {
+        if (draggingRef.current) navigateTo(event);
+      }}
+      onPointerUp={() => {
+        draggingRef.current = false;
+      }}
+      onPointerCancel={() => {
+        draggingRef.current = false;
+      }}
+    />
+  );
+});
+
+TreeMinimap.displayName = "TreeMinimap";
+
+export default TreeMinimap;
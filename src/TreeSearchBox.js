@@ -0,0 +1,45 @@
+import React from "react";
+
+// Find-in-tree box for the tree controls. Enter / Shift+Enter step through
+// the results, Escape clears the query.
+const TreeSearchBox = ({ query, matchCount, currentIndex, onQueryChange, onStep }) => {
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      onStep(event.shiftKey ? -1 : 1);
+    } else if (event.key === "Escape") {
+      onQueryChange("");
+    }
+  };
+
+  const hasQuery = query.trim() !== "";
+
+  return (
+    <div className="tree-search" role="search">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Find in tree"
+        aria-label="Find in tree"
+        title='Match descriptions and ids. Use AND, OR, NOT or -word, and "quotes" for phrases.'
+      />
+      {hasQuery && (
+        <>
+          <output className="tree-search-count" aria-live="polite">
+            {matchCount ? `${currentIndex + 1}/${matchCount}` : "0/0"}
+          </output>
+          <button onClick={() => onStep(-1)} disabled={!matchCount} title="Previous result" aria-label="Previous result">
+            ‹
+          </button>
+          <button onClick={() => onStep(1)} disabled={!matchCount} title="Next result" aria-label="Next result">
+            ›
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TreeSearchBox;
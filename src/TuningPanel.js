@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { listPresets, savePreset, deletePreset, BUILT_IN_PRESETS } from "./tuningPresets";
+
+// Sliders shown in the panel: which config group and key they edit
+const SLIDERS = [
+  { group: "physics", key: "DAMPING", label: "Damping", min: 0.1, max: 0.95, step: 0.05,
+    title: "Fraction of velocity kept each frame (lower settles faster)" },
+  { group: "physics", key: "SPRING_FORCE", label: "Spring force", min: 0.01, max: 0.3, step: 0.01 },
+  { group: "physics", key: "TARGET_LINK_LENGTH", label: "Link length", min: 50, max: 300, step: 5 },
+  { group: "physics", key: "ANGULAR_RESTORING_FORCE", label: "Angular force", min: 0, max: 0.05, step: 0.001 },
+  { group: "physics", key: "WIND_STRENGTH", label: "Wind", min: 0, max: 3, step: 0.1 },
+  { group: "tree", key: "NODE_RADIUS", label: "Node radius", min: 10, max: 60, step: 1 },
+];
+
+// Keep only the keys the panel edits, so presets stay small and portable
+const presetFrom = (config) => {
+  const preset = { physics: {}, tree: {} };
+  SLIDERS.forEach(({ group, key }) => {
+    preset[group][key] = config[group][key];
+  });
+  return preset;
+};
+
+// Collapsible live tuning controls; `config` is { physics, tree } and every
+// change is reported through onChange with the full next config
+const TuningPanel = ({ config, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [presets, setPresets] = useState(() => listPresets());
+  const [selectedPreset, setSelectedPreset] = useState("");
+
+  const handleSlider = (group, key, value) => {
+    setSelectedPreset("");
+    onChange({ ...config, [group]: { ...config[group], [key]: value } });
+  };
+
+  const handleLoadPreset = (name) => {
+    setSelectedPreset(name);
+    const preset = presets[name];
+    if (!preset) return;
+    onChange({
+      physics: { ...config.physics, ...preset.physics },
+      tree: { ...config.tree, ...preset.tree },
+    });
+  };
+
+  const handleSavePreset = () => {
+    const name = window.prompt("Preset name", selectedPreset || "")?.trim();
+    if (!name) return;
+    savePreset(name, presetFrom(config));
+    setPresets(listPresets());
+    setSelectedPreset(name);
+  };
+
+  const handleDeletePreset = () => {
+    deletePreset(selectedPreset);
+    setPresets(listPresets());
+    setSelectedPreset("");
+  };
+
+  // Only user presets can be deleted; a deleted override reveals the built-in
+  const canDelete =
+    Boolean(selectedPreset) && presets[selectedPreset] !== BUILT_IN_PRESETS[selectedPreset];
+
+  return (
+    <div className="tuning-panel-wrapper">
+      <button
+        className="reset-view-btn"
+        onClick={() => setOpen((prev) => !prev)}
+        title="Tune physics and layout"
+        aria-expanded={open}
+      >
+        ⚙ Tuning
+      </button>
+      {open && (
+        <div className="tuning-panel">
+          <label>
+            Preset
+            <select value={selectedPreset} onChange={(e) => handleLoadPreset(e.target.value)}>
+              <option value="">Custom</option>
+              {Object.keys(presets).map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+          {SLIDERS.map(({ group, key, label, min, max, step, title }) => (
+            <label key={key} className="tuning-slider" title={title}>
+              <span>{label}</span>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={config[group][key]}
+                onChange={(e) => handleSlider(group, key, Number(e.target.value))}
+              />
+              <output>{config[group][key]}</output>
+            </label>
+          ))}
+          <div className="tuning-actions">
+            <button className="reset-view-btn" onClick={handleSavePreset}>
+              Save preset
+            </button>
+            <button className="reset-view-btn" onClick={handleDeletePreset} disabled={!canDelete}>
+              Delete
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TuningPanel;
@@ -1,11 +1,142 @@
-import React from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import "./UserHome.css";
-const UserHome = () => {
+
+// Library of the user's saved explorations. onOpen gets the chosen entry
+// without its document, which the main view loads from the store.
+const UserHome = ({ user, store, onOpen }) => {
+  const [entries, setEntries] = useState(null); // null while loading
+  const [error, setError] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [draftName, setDraftName] = useState("");
+  // Entry being renamed, as seen by event handlers: Enter submits and the
+  // input's blur fires right after, so only the first of them may act
+  const renamingRef = useRef(null);
+
+  const refresh = useCallback(async () => {
+    if (!store) return;
+    try {
+      setEntries(await store.list());
+      setError(null);
+    } catch (err) {
+      console.error(err);
+      setError("Unable to load your saved trees. Please try again later.");
+      setEntries([]);
+    }
+  }, [store]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Run a library action, then reload the list
+  const runAction = async (action, failureMessage) => {
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      console.error(err);
+      setError(failureMessage);
+    }
+  };
+
+  const startRename = (entry) => {
+    renamingRef.current = entry.id;
+    setRenamingId(entry.id);
+    setDraftName(entry.name);
+  };
+
+  const stopRename = () => {
+    renamingRef.current = null;
+    setRenamingId(null);
+  };
+
+  const submitRename = (event, entry) => {
+    event.preventDefault();
+    if (renamingRef.current !== entry.id) return;
+    stopRename();
+    const name = draftName.trim();
+    if (!name || name === entry.name) return;
+    runAction(() => store.rename(entry.id, name), `Unable to rename "${entry.name}".`);
+  };
+
+  const handleDuplicate = (entry) =>
+    runAction(() => store.duplicate(entry.id), `Unable to duplicate "${entry.name}".`);
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete "${entry.name}"? This cannot be undone.`)) return;
+    runAction(() => store.remove(entry.id), `Unable to delete "${entry.name}".`);
+  };
+
+  if (!user || !store) {
+    return (
+      <div className="user-home">
+        <header className="user-header">
+          <h1>Welcome to Your Homepage</h1>
+        </header>
+        <p className="library-message">Sign in to see your saved explorations.</p>
+      </div>
+    );
+  }
+
   return (
     <div className="user-home">
-      <header className="user-header">
-        <h1>Welcome to Your Homepage</h1>
+      <header className="user-header library-header">
+        <h1>Welcome{user.name ? `, ${user.name}` : " to Your Homepage"}</h1>
       </header>
+      <h2 className="library-title">Saved explorations</h2>
+      {error && <p className="error">{error}</p>}
+      {entries === null ? (
+        <p className="library-message">Loading…</p>
+      ) : entries.length === 0 ? (
+        <p className="library-message">
+          Nothing saved yet. Use "Save to Library" while exploring.
+        </p>
+      ) : (
+        <ul className="library-list">
+          {entries.map((entry) => (
+            <li key={entry.id} className="library-entry">
+              {entry.summary?.rootImage ? (
+                <img
+                  className="library-thumbnail"
+                  src={entry.summary.rootImage}
+                  alt={entry.summary.rootDescription}
+                />
+              ) : (
+                <div className="library-thumbnail" />
+              )}
+              <div className="library-details">
+                {renamingId === entry.id ? (
+                  <form onSubmit={(event) => submitRename(event, entry)}>
+                    <input
+                      className="library-rename"
+                      value={draftName}
+                      onChange={(event) => setDraftName(event.target.value)}
+                      onBlur={(event) => submitRename(event, entry)}
+                      onKeyDown={(event) => {
+                        if (event.key === "Escape") stopRename();
+                      }}
+                      autoFocus
+                    />
+                  </form>
+                ) : (
+                  <h3>{entry.name}</h3>
+                )}
+                <p>
+                  {entry.summary?.nodeCount ?? 0} nodes · depth{" "}
+                  {entry.summary?.depth ?? 0} · modified{" "}
+                  {new Date(entry.updatedAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="library-actions">
+                <button onClick={() => onOpen(entry)}>Open</button>
+                <button onClick={() => startRename(entry)}>Rename</button>
+                <button onClick={() => handleDuplicate(entry)}>Duplicate</button>
+                <button onClick={() => handleDelete(entry)}>Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
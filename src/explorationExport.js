@@ -0,0 +1,119 @@
+// Export the objects visited in an exploration as CSV, JSON or a citation list
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv;charset=utf-8" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  citations: { label: "Citations", extension: "txt", mimeType: "text/plain;charset=utf-8" },
+};
+
+const CSV_COLUMNS = ["id", "description", "image", "parentId", "depth", "similarity"];
+
+// Walk the TreeGraph nodes depth-first from the root, parents before children
+export const collectFromTree = ({ nodes, links }) => {
+  const root = nodes.find((node) => node.parentNode === null);
+  if (!root) return [];
+
+  const scoreByTarget = new Map(
+    links
+      .filter((link) => !link.crossLink)
+      .map((link) => [link.target, link.similarityScore ?? null])
+  );
+
+  const rows = [];
+  const visit = (node, depth) => {
+    rows.push({
+      id: node.id ?? null,
+      description: node.description,
+      image: node.image ?? null,
+      parentId: node.parentNode ? node.parentNode.id ?? null : null,
+      depth,
+      similarity: node.parentNode ? scoreByTarget.get(node) ?? null : null,
+    });
+    node.childNodes.forEach((child) => visit(child, depth + 1));
+  };
+  visit(root, 0);
+  return rows;
+};
+
+// Rebuild the same rows from App state when no tree is mounted: the first
+// history entry is the root, and each object hangs under the first expanded
+// object (in history order) that listed it as similar
+export const collectFromHistory = ({ searchHistory, similarRecords }) => {
+  const root = searchHistory[0];
+  if (!root) return [];
+
+  const parentIds = new Map([[root.id, null]]);
+  searchHistory.forEach((expanded) => {
+    (similarRecords[expanded.id] || []).forEach((record) => {
+      if (!parentIds.has(record.id)) parentIds.set(record.id, expanded.id);
+    });
+  });
+
+  const rows = [];
+  const seen = new Set();
+  const visit = (record, parent, depth) => {
+    if (seen.has(record.id)) return;
+    seen.add(record.id);
+    rows.push({
+      id: record.id,
+      description: record.text_for_embedding,
+      image: record.Image ?? null,
+      parentId: parent ? parent.id : null,
+      depth,
+      similarity: parent ? record.similarityScore ?? null : null,
+    });
+    (similarRecords[record.id] || [])
+      .filter((child) => parentIds.get(child.id) === record.id)
+      .forEach((child) => visit(child, record, depth + 1));
+  };
+  visit(root, null, 0);
+  return rows;
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  [CSV_COLUMNS.join(","), ...rows.map((row) => CSV_COLUMNS.map((column) => csvCell(row[column])).join(","))]
+    .join("\r\n") + "\r\n";
+
+export const toJson = (rows) => JSON.stringify(rows, null, 2);
+
+// First sentence of the description serves as the object title
+const titleOf = (description) => {
+  const match = description.match(/^(.+?[.!?])(\s|$)/);
+  return (match ? match[1] : description).replace(/[.!?]$/, "").trim();
+};
+
+// Numbered bibliography of British Museum objects, one entry per object
+export const toCitations = (rows, accessedAt = new Date()) => {
+  const accessed = accessedAt.toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+  return rows
+    .map((row, i) => {
+      const parts = [
+        `[${i + 1}] The British Museum.`,
+        `"${titleOf(row.description)}."`,
+        row.id !== null ? `Object ${row.id}.` : null,
+        row.image ? `Image: ${row.image}.` : null,
+        `Accessed ${accessed}.`,
+      ];
+      return parts.filter(Boolean).join(" ");
+    })
+    .join("\n") + "\n";
+};
+
+// Serialise rows in one of EXPORT_FORMATS and wrap them in a Blob
+export const exportExploredObjects = (rows, format) => {
+  const { mimeType } = EXPORT_FORMATS[format];
+  const content =
+    format === "csv" ? toCsv(rows) : format === "json" ? toJson(rows) : toCitations(rows);
+  return new Blob([content], { type: mimeType });
+};
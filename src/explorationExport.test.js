@@ -0,0 +1,127 @@
+import { Node } from './Node';
+import {
+  collectFromTree,
+  collectFromHistory,
+  toCsv,
+  toJson,
+  toCitations,
+  exportExploredObjects,
+} from './explorationExport';
+
+const record = (id, description, similarityScore) => ({
+  id,
+  text_for_embedding: description,
+  Image: `https://example.org/${id}.jpg`,
+  ...(similarityScore !== undefined && { similarityScore }),
+});
+
+// root -> a -> c, root -> b
+const buildTree = () => {
+  const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'Jade cong.', 'root.jpg', null, 'R');
+  const a = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'Bronze ding.', 'a.jpg', root, 'A');
+  const b = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'Porcelain vase.', null, root, 'B');
+  const c = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'Bronze bell.', 'c.jpg', a, 'C');
+  root.childNodes.push(a, b);
+  a.childNodes.push(c);
+  return {
+    nodes: [root, b, a, c],
+    links: [
+      { source: root, target: a, similarityScore: 0.9 },
+      { source: root, target: b, similarityScore: 0.7 },
+      { source: a, target: c, similarityScore: 0.8 },
+      { source: b, target: c, similarityScore: 0.5, crossLink: true },
+    ],
+  };
+};
+
+describe('collecting rows', () => {
+  test('walks the tree depth-first with tree-link similarities', () => {
+    expect(collectFromTree(buildTree())).toEqual([
+      { id: 'R', description: 'Jade cong.', image: 'root.jpg', parentId: null, depth: 0, similarity: null },
+      { id: 'A', description: 'Bronze ding.', image: 'a.jpg', parentId: 'R', depth: 1, similarity: 0.9 },
+      { id: 'C', description: 'Bronze bell.', image: 'c.jpg', parentId: 'A', depth: 2, similarity: 0.8 },
+      { id: 'B', description: 'Porcelain vase.', image: null, parentId: 'R', depth: 1, similarity: 0.7 },
+    ]);
+  });
+
+  test('rebuilds the same shape from history, placing each object once', () => {
+    const rows = collectFromHistory({
+      searchHistory: [record('R', 'Jade cong.'), record('A', 'Bronze ding.', 0.9)],
+      similarRecords: {
+        R: [record('A', 'Bronze ding.', 0.9), record('B', 'Porcelain vase.', 0.7)],
+        A: [record('C', 'Bronze bell.', 0.8), record('B', 'Porcelain vase.', 0.5)],
+      },
+    });
+
+    expect(rows.map(({ id, parentId, depth, similarity }) => [id, parentId, depth, similarity])).toEqual([
+      ['R', null, 0, null],
+      ['A', 'R', 1, 0.9],
+      ['C', 'A', 2, 0.8],
+      ['B', 'R', 1, 0.7],
+    ]);
+  });
+
+  test('returns no rows for an empty exploration', () => {
+    expect(collectFromTree({ nodes: [], links: [] })).toEqual([]);
+    expect(collectFromHistory({ searchHistory: [], similarRecords: {} })).toEqual([]);
+  });
+});
+
+describe('CSV', () => {
+  test('quotes commas, quotes and line breaks', () => {
+    const csv = toCsv([
+      { id: 1, description: 'Bowl, glazed', image: null, parentId: null, depth: 0, similarity: null },
+      { id: 2, description: 'The "Lady" vase', image: null, parentId: 1, depth: 1, similarity: 0.5 },
+      { id: 3, description: 'Two\nlines', image: null, parentId: 1, depth: 1, similarity: 0.25 },
+    ]);
+
+    expect(csv).toBe(
+      'id,description,image,parentId,depth,similarity\r\n' +
+        '1,"Bowl, glazed",,,0,\r\n' +
+        '2,"The ""Lady"" vase",,1,1,0.5\r\n' +
+        '3,"Two\nlines",,1,1,0.25\r\n'
+    );
+  });
+
+  test('leaves cells empty for rows without an id or image', () => {
+    const csv = toCsv([{ id: null, description: 'Unknown', image: null, parentId: null, depth: 0, similarity: null }]);
+    expect(csv.split('\r\n')[1]).toBe(',Unknown,,,0,');
+  });
+});
+
+describe('citations', () => {
+  const accessedAt = new Date(2024, 2, 5);
+
+  test('number each object and title it with the first sentence', () => {
+    const text = toCitations(
+      [
+        { id: 'R', description: 'Jade cong. Neolithic, Liangzhu culture.', image: 'root.jpg' },
+        { id: 'A', description: 'Bronze ding!', image: 'a.jpg' },
+      ],
+      accessedAt
+    );
+
+    expect(text).toBe(
+      '[1] The British Museum. "Jade cong." Object R. Image: root.jpg. Accessed 5 March 2024.\n' +
+        '[2] The British Museum. "Bronze ding." Object A. Image: a.jpg. Accessed 5 March 2024.\n'
+    );
+  });
+
+  test('skip the object number and image when they are missing', () => {
+    expect(toCitations([{ id: null, description: 'A seal', image: null }], accessedAt)).toBe(
+      '[1] The British Museum. "A seal." Accessed 5 March 2024.\n'
+    );
+  });
+});
+
+test('JSON keeps the rows as they are', () => {
+  const rows = collectFromTree(buildTree());
+  expect(JSON.parse(toJson(rows))).toEqual(rows);
+});
+
+test('wraps each format in a Blob of its type', () => {
+  const rows = collectFromTree(buildTree());
+  expect(exportExploredObjects(rows, 'csv').type).toBe('text/csv;charset=utf-8');
+  expect(exportExploredObjects(rows, 'json').type).toBe('application/json');
+  expect(exportExploredObjects(rows, 'citations').type).toBe('text/plain;charset=utf-8');
+});
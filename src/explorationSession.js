@@ -0,0 +1,345 @@
+// Framework-independent exploration session. A session owns the tree of
+// explored objects and the records fetched for them, and changes only by
+// applying events:
+//   { type: "searched", query, record }       start a new tree at a search hit
+//   { type: "selected", id, record? }         make an object the current one
+//   { type: "expanded", id, records }         similar objects arrived for an object
+//   { type: "pruned", id }                    remove an object and its subtree
+//   { type: "restored", objects, tree, ... }  load a saved exploration
+//   { type: "cleared" }                       forget everything
+// Every applied event is appended to session.events, so a session can be
+// rebuilt with replaySession() and compared with diffSessions(). Every map and
+// set in a session is keyed by keyOf(id), so 7 and "7" are the same object.
+import { pruneExplorationState } from "./subtreeActions";
+
+// Raised for events the engine does not understand
+export class SessionEventError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionEventError";
+  }
+}
+
+const NO_RECORDS = [];
+
+const keyOf = (id) => String(id);
+
+const emptyTree = () => ({ rootId: null, nodes: {}, crossLinks: [] });
+
+export const createSession = () => ({
+  events: [],
+  query: "",
+  objects: {}, // Record for every object seen, by id
+  tree: emptyTree(), // nodes: { [id]: { id, parentId, childIds, similarityScore } }
+  selectedId: null,
+  searchHistory: [], // Records in the order they were first selected
+  similarRecords: {}, // Similar objects fetched per object key
+  searchedIds: new Set(), // Keys of objects whose similar objects have been fetched
+});
+
+// Add records for objects not seen yet. Known objects keep their first
+// record, so the selected object stays the same reference across events.
+const withObjects = (objects, records) => {
+  const unseen = records.filter((record) => !objects[keyOf(record.id)]);
+  if (!unseen.length) return objects;
+  const next = { ...objects };
+  unseen.forEach((record) => {
+    if (!next[keyOf(record.id)]) next[keyOf(record.id)] = record;
+  });
+  return next;
+};
+
+// Whether two tree nodes are already joined, by a tree link or a cross-link
+const isConnected = (nodes, crossLinks, a, b) =>
+  nodes[a].parentId === b ||
+  nodes[b].parentId === a ||
+  crossLinks.some(
+    (link) =>
+      (link.sourceId === a && link.targetId === b) || (link.sourceId === b && link.targetId === a)
+  );
+
+// Hang records off a tree node. Objects already in the tree don't get a second
+// node; they are joined to the parent with a cross-link instead.
+const attachChildren = (tree, parentId, records) => {
+  const parentKey = keyOf(parentId);
+  if (!tree.nodes[parentKey]) return tree;
+
+  const nodes = { ...tree.nodes };
+  const crossLinks = [...tree.crossLinks];
+  const childIds = [...nodes[parentKey].childIds];
+  records.forEach((record) => {
+    const key = keyOf(record.id);
+    const score = record.similarityScore || 0;
+    if (nodes[key]) {
+      if (key !== parentKey && !isConnected(nodes, crossLinks, parentKey, key)) {
+        crossLinks.push({ sourceId: parentKey, targetId: key, similarityScore: score });
+      }
+      return;
+    }
+    nodes[key] = { id: record.id, parentId: parentKey, childIds: [], similarityScore: score };
+    childIds.push(key);
+  });
+  nodes[parentKey] = { ...nodes[parentKey], childIds };
+  return { ...tree, nodes, crossLinks };
+};
+
+const subtreeKeys = (tree, key) => {
+  const keys = [];
+  const visit = (current) => {
+    keys.push(current);
+    tree.nodes[current].childIds.forEach(visit);
+  };
+  visit(key);
+  return keys;
+};
+
+const appendToHistory = (searchHistory, record) =>
+  searchHistory.some((item) => keyOf(item.id) === keyOf(record.id))
+    ? searchHistory
+    : [...searchHistory, record];
+
+const applySearched = (session, { query = "", record }) => ({
+  ...createSession(),
+  query,
+  objects: withObjects({}, [record]),
+  tree: {
+    rootId: keyOf(record.id),
+    nodes: { [keyOf(record.id)]: { id: record.id, parentId: null, childIds: [], similarityScore: null } },
+    crossLinks: [],
+  },
+  selectedId: keyOf(record.id),
+  searchHistory: [record],
+});
+
+const applySelected = (session, { id, record }) => {
+  const known = session.objects[keyOf(id)] || record;
+  if (!known) return null;
+  return {
+    ...session,
+    objects: withObjects(session.objects, [known]),
+    selectedId: keyOf(id),
+    searchHistory: appendToHistory(session.searchHistory, known),
+  };
+};
+
+const applyExpanded = (session, { id, records = [] }) => ({
+  ...session,
+  objects: withObjects(session.objects, records),
+  tree: attachChildren(session.tree, id, records),
+  similarRecords: { ...session.similarRecords, [keyOf(id)]: records },
+  searchedIds: new Set([...session.searchedIds, keyOf(id)]),
+});
+
+const applyPruned = (session, { id }) => {
+  const key = keyOf(id);
+  const node = session.tree.nodes[key];
+  if (!node || node.parentId === null) return null;
+
+  const removed = subtreeKeys(session.tree, key);
+  const removedSet = new Set(removed);
+  const nodes = { ...session.tree.nodes };
+  removed.forEach((removedKey) => delete nodes[removedKey]);
+  const parent = nodes[node.parentId];
+  nodes[node.parentId] = { ...parent, childIds: parent.childIds.filter((childId) => childId !== key) };
+
+  const objects = { ...session.objects };
+  removed.forEach((removedKey) => delete objects[removedKey]);
+
+  const next = pruneExplorationState(
+    {
+      searchHistory: session.searchHistory,
+      similarRecords: session.similarRecords,
+      searchedNodes: session.searchedIds,
+    },
+    removed
+  );
+
+  return {
+    ...session,
+    objects,
+    tree: {
+      ...session.tree,
+      nodes,
+      crossLinks: session.tree.crossLinks.filter(
+        (link) => !removedSet.has(link.sourceId) && !removedSet.has(link.targetId)
+      ),
+    },
+    selectedId: removedSet.has(session.selectedId) ? node.parentId : session.selectedId,
+    searchHistory: next.searchHistory,
+    similarRecords: next.similarRecords,
+    searchedIds: next.searchedNodes,
+  };
+};
+
+// Rebuild from a saved exploration. With a saved tree its shape is kept;
+// otherwise the tree is regrown by expanding the history in order.
+const applyRestored = (session, event) => {
+  const { query = "", objects = [], tree, searchHistory = [], similarRecords = {}, searchedIds = [] } = event;
+  let nextTree = emptyTree();
+
+  if (tree && tree.nodes.length) {
+    const nodes = {};
+    tree.nodes.forEach(({ id, parentId, similarityScore = null }) => {
+      const parentKey = parentId == null ? null : keyOf(parentId);
+      nodes[keyOf(id)] = { id, parentId: parentKey, childIds: [], similarityScore };
+      if (parentKey === null && nextTree.rootId === null) nextTree.rootId = keyOf(id);
+    });
+    Object.entries(nodes).forEach(([key, node]) => {
+      if (node.parentId !== null && nodes[node.parentId]) nodes[node.parentId].childIds.push(key);
+    });
+    nextTree = {
+      ...nextTree,
+      nodes,
+      crossLinks: (tree.crossLinks || []).map((link) => ({
+        sourceId: keyOf(link.sourceId),
+        targetId: keyOf(link.targetId),
+        similarityScore: link.similarityScore || 0,
+      })),
+    };
+  } else if (searchHistory.length) {
+    nextTree = applySearched(session, { record: searchHistory[0] }).tree;
+    searchHistory.forEach((record) => {
+      const records = similarRecords[keyOf(record.id)];
+      if (records) nextTree = attachChildren(nextTree, record.id, records);
+    });
+  }
+
+  return {
+    ...createSession(),
+    query,
+    objects: withObjects({}, [...searchHistory, ...Object.values(similarRecords).flat(), ...objects]),
+    tree: nextTree,
+    selectedId: event.selectedId == null ? nextTree.rootId : keyOf(event.selectedId),
+    searchHistory,
+    similarRecords, // Object keys are strings already
+    searchedIds: new Set(searchedIds.map(keyOf)),
+  };
+};
+
+const HANDLERS = {
+  searched: applySearched,
+  selected: applySelected,
+  expanded: applyExpanded,
+  pruned: applyPruned,
+  restored: applyRestored,
+  cleared: () => createSession(),
+};
+
+// Apply one event. Events that don't apply to the current tree (an unknown
+// object, pruning the root) leave the session unchanged and are not logged.
+export const applyEvent = (session, event) => {
+  const handler = HANDLERS[event?.type];
+  if (!handler) throw new SessionEventError(`Unknown session event "${event?.type}"`);
+  const next = handler(session, event);
+  if (!next) return session;
+  return { ...next, events: [...session.events, event] };
+};
+
+export const replaySession = (events, session = createSession()) => events.reduce(applyEvent, session);
+
+// Objects added to and removed from the tree between two sessions (parents
+// before children), and whether the selection moved
+export const diffSessions = (before, after) => {
+  const beforeKeys = new Set(Object.keys(before.tree.nodes));
+  const afterKeys = new Set(Object.keys(after.tree.nodes));
+  return {
+    added: selectTreeNodes(after)
+      .filter((node) => !beforeKeys.has(keyOf(node.id)))
+      .map((node) => node.id),
+    removed: selectTreeNodes(before)
+      .filter((node) => !afterKeys.has(keyOf(node.id)))
+      .map((node) => node.id),
+    selectionChanged: before.selectedId !== after.selectedId,
+  };
+};
+
+// Selectors
+
+export const selectRecord = (session, id) => (id == null ? null : session.objects[keyOf(id)] || null);
+
+export const selectSelectedObject = (session) => selectRecord(session, session.selectedId);
+
+export const selectSimilarObjects = (session) =>
+  (session.selectedId !== null && session.similarRecords[session.selectedId]) || NO_RECORDS;
+
+export const isExpanded = (session, id) => id != null && session.searchedIds.has(keyOf(id));
+
+// Tree nodes depth-first from the root, parents before children, each with
+// its record: [{ id, parentId, similarityScore, record }]
+export const selectTreeNodes = (session) => {
+  const { rootId, nodes } = session.tree;
+  if (rootId === null || !nodes[rootId]) return [];
+  const result = [];
+  const visit = (key) => {
+    const node = nodes[key];
+    result.push({
+      id: node.id,
+      parentId: node.parentId === null ? null : nodes[node.parentId].id,
+      similarityScore: node.similarityScore,
+      record: session.objects[key] || null,
+    });
+    node.childIds.forEach(visit);
+  };
+  visit(rootId);
+  return result;
+};
+
+// Cross-links between objects that are already elsewhere in the tree
+export const selectCrossLinks = (session) =>
+  session.tree.crossLinks.map((link) => ({
+    sourceId: session.tree.nodes[link.sourceId].id,
+    targetId: session.tree.nodes[link.targetId].id,
+    similarityScore: link.similarityScore,
+  }));
+
+// Records from the root down to an object, inclusive
+export const selectPath = (session, id) => {
+  const path = [];
+  for (let key = id == null ? null : keyOf(id); key !== null && session.tree.nodes[key]; ) {
+    path.unshift(session.objects[key] || null);
+    key = session.tree.nodes[key].parentId;
+  }
+  return path;
+};
+
+// "restored" event for the output of treeSerializer's restoreExploration
+export const createRestoredEvent = ({
+  nodes = [],
+  links = [],
+  activeNode = null,
+  selectedObject = null,
+  searchHistory = [],
+  similarRecords = {},
+  searchedNodes = new Set(),
+}) => {
+  const withIds = nodes.filter((node) => node.id != null);
+  const scoreOf = (node) =>
+    links.find((link) => link.target === node && !link.crossLink)?.similarityScore ?? null;
+
+  return {
+    type: "restored",
+    objects: withIds.map((node) => ({
+      id: node.id,
+      text_for_embedding: node.description,
+      Image: node.image,
+    })),
+    tree: {
+      nodes: withIds.map((node) => ({
+        id: node.id,
+        parentId: node.parentNode ? node.parentNode.id : null,
+        similarityScore: scoreOf(node),
+      })),
+      crossLinks: links
+        .filter((link) => link.crossLink && link.source.id != null && link.target.id != null)
+        .map((link) => ({
+          sourceId: link.source.id,
+          targetId: link.target.id,
+          similarityScore: link.similarityScore,
+        })),
+    },
+    selectedId: activeNode?.id ?? selectedObject?.id ?? searchHistory[searchHistory.length - 1]?.id ?? null,
+    searchHistory,
+    similarRecords,
+    searchedIds: [...searchedNodes],
+  };
+};
@@ -0,0 +1,156 @@
+import {
+  createSession,
+  applyEvent,
+  replaySession,
+  diffSessions,
+  selectSelectedObject,
+  selectSimilarObjects,
+  selectTreeNodes,
+  selectCrossLinks,
+  selectPath,
+  isExpanded,
+  createRestoredEvent,
+  SessionEventError,
+} from './explorationSession';
+
+const record = (id, similarityScore) => ({
+  id,
+  text_for_embedding: `Object ${id}`,
+  Image: `${id}.jpg`,
+  ...(similarityScore === undefined ? {} : { similarityScore }),
+});
+
+// R -> (A, B), A -> (C, and B again as a cross-link)
+const events = [
+  { type: 'searched', query: 'jade', record: record('R') },
+  { type: 'expanded', id: 'R', records: [record('A', 0.9), record('B', 0.8)] },
+  { type: 'selected', id: 'A' },
+  { type: 'expanded', id: 'A', records: [record('C', 0.7), record('B', 0.6), record('R', 0.5)] },
+];
+
+const treeShape = (session) => selectTreeNodes(session).map(({ id, parentId }) => [id, parentId]);
+
+test('searching and expanding grow the tree under the expanded object', () => {
+  const session = replaySession(events);
+
+  expect(treeShape(session)).toEqual([
+    ['R', null],
+    ['A', 'R'],
+    ['C', 'A'],
+    ['B', 'R'],
+  ]);
+  expect(selectCrossLinks(session)).toEqual([{ sourceId: 'A', targetId: 'B', similarityScore: 0.6 }]);
+  expect(session.query).toBe('jade');
+  expect(session.events).toEqual(events);
+});
+
+test('selectors expose the selected object, its similar objects and history', () => {
+  const session = replaySession(events);
+
+  expect(selectSelectedObject(session)).toEqual(record('A', 0.9));
+  expect(selectSimilarObjects(session).map((r) => r.id)).toEqual(['C', 'B', 'R']);
+  expect(session.searchHistory.map((r) => r.id)).toEqual(['R', 'A']);
+  expect(isExpanded(session, 'A')).toBe(true);
+  expect(isExpanded(session, 'C')).toBe(false);
+  expect(selectPath(session, 'C').map((r) => r.id)).toEqual(['R', 'A', 'C']);
+});
+
+test('pruning removes the subtree, its records and cross-links and moves the selection up', () => {
+  const session = applyEvent(replaySession(events), { type: 'pruned', id: 'A' });
+
+  expect(treeShape(session)).toEqual([
+    ['R', null],
+    ['B', 'R'],
+  ]);
+  expect(selectCrossLinks(session)).toEqual([]);
+  expect(selectSelectedObject(session).id).toBe('R');
+  expect(session.searchHistory.map((r) => r.id)).toEqual(['R']);
+  expect(Object.keys(session.similarRecords)).toEqual(['R']);
+  expect(isExpanded(session, 'A')).toBe(false);
+});
+
+test('numeric and string ids address the same object', () => {
+  const numeric = (id) => ({ id, text_for_embedding: `object ${id}` });
+  const session = replaySession([
+    { type: 'searched', query: 'bowl', record: numeric(7) },
+    { type: 'expanded', id: 7, records: [numeric(8)] },
+    { type: 'selected', id: '8' },
+    { type: 'expanded', id: '8', records: [numeric(9)] },
+  ]);
+
+  expect([...session.searchedIds]).toEqual(['7', '8']);
+  expect(Object.keys(session.similarRecords)).toEqual(['7', '8']);
+  expect(isExpanded(session, '7')).toBe(true);
+  expect(isExpanded(session, 8)).toBe(true);
+  expect(selectSimilarObjects(session)).toEqual([numeric(9)]);
+
+  const pruned = applyEvent(session, { type: 'pruned', id: '8' });
+  expect([...pruned.searchedIds]).toEqual(['7']);
+  expect(Object.keys(pruned.similarRecords)).toEqual(['7']);
+});
+
+test('events that do not apply leave the session and its log unchanged', () => {
+  const session = replaySession(events);
+  expect(applyEvent(session, { type: 'pruned', id: 'R' })).toBe(session);
+  expect(applyEvent(session, { type: 'selected', id: 'missing' })).toBe(session);
+  expect(() => applyEvent(session, { type: 'teleported' })).toThrow(SessionEventError);
+});
+
+test('diffSessions reports added and removed objects and selection changes', () => {
+  const before = replaySession(events.slice(0, 2));
+  const after = replaySession(events);
+
+  expect(diffSessions(before, after)).toEqual({ added: ['C'], removed: [], selectionChanged: true });
+  expect(diffSessions(after, before)).toEqual({ added: [], removed: ['C'], selectionChanged: true });
+});
+
+test('cleared starts over but keeps the log', () => {
+  const session = applyEvent(replaySession(events), { type: 'cleared' });
+  expect(selectTreeNodes(session)).toEqual([]);
+  expect(selectSelectedObject(session)).toBeNull();
+  expect(session.events).toHaveLength(events.length + 1);
+});
+
+test('restoring keeps a saved tree shape', () => {
+  const root = { id: 'R', description: 'Object R', image: 'R.jpg', parentNode: null };
+  const a = { id: 'A', description: 'Object A', image: 'A.jpg', parentNode: root };
+  const b = { id: 'B', description: 'Object B', image: 'B.jpg', parentNode: a };
+  const event = createRestoredEvent({
+    nodes: [root, a, b],
+    links: [
+      { source: root, target: a, similarityScore: 0.9 },
+      { source: a, target: b, similarityScore: 0.4 },
+      { source: root, target: b, similarityScore: 0.3, crossLink: true },
+    ],
+    activeNode: a,
+    searchHistory: [record('R'), record('A')],
+    similarRecords: { R: [record('A', 0.9)], A: [record('B', 0.4)] },
+    searchedNodes: new Set(['R', 'A']),
+  });
+  const session = applyEvent(createSession(), event);
+
+  expect(treeShape(session)).toEqual([
+    ['R', null],
+    ['A', 'R'],
+    ['B', 'A'],
+  ]);
+  expect(selectTreeNodes(session)[2].similarityScore).toBe(0.4);
+  expect(selectCrossLinks(session)).toEqual([{ sourceId: 'R', targetId: 'B', similarityScore: 0.3 }]);
+  expect(selectSelectedObject(session)).toEqual(record('A'));
+  expect(selectSelectedObject(applyEvent(session, { type: 'selected', id: 'B' }))).toEqual(record('B', 0.4));
+});
+
+test('restoring without a saved tree regrows it from the history', () => {
+  const session = applyEvent(createSession(), {
+    type: 'restored',
+    searchHistory: [record('R'), record('A')],
+    similarRecords: { R: [record('A', 0.9)], A: [record('B', 0.4)] },
+    searchedIds: ['R', 'A'],
+  });
+  expect(treeShape(session)).toEqual([
+    ['R', null],
+    ['A', 'R'],
+    ['B', 'A'],
+  ]);
+  expect(selectSelectedObject(session).id).toBe('R');
+});
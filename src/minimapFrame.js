@@ -0,0 +1,43 @@
+// Mapping between tree (world) coordinates and TreeMinimap pixels, kept apart
+// from the canvas drawing so it can be tested
+import { computeTreeBounds } from "./treeImageExport";
+
+// Minimap configuration constants
+export const MINIMAP_CONFIG = {
+  WIDTH: 180,
+  HEIGHT: 120,
+  PADDING: 40, // World units around the tree
+  NODE_RADIUS: 2, // Minimap pixels
+  ACTIVE_RADIUS: 4,
+};
+
+// Fit the union of the tree and the viewport into the minimap, keeping the
+// aspect ratio; returns the world -> minimap mapping { scale, offsetX, offsetY }
+export const computeMinimapFrame = (nodes, viewport, config = MINIMAP_CONFIG) => {
+  const tree = computeTreeBounds(nodes, config.PADDING);
+  const x = Math.min(tree.x, viewport.x);
+  const y = Math.min(tree.y, viewport.y);
+  const width = Math.max(tree.x + tree.width, viewport.x + viewport.width) - x;
+  const height = Math.max(tree.y + tree.height, viewport.y + viewport.height) - y;
+  const scale = Math.min(config.WIDTH / width, config.HEIGHT / height);
+
+  // Centre the content when its aspect ratio differs from the minimap's
+  return {
+    scale,
+    offsetX: (config.WIDTH - width * scale) / 2 - x * scale,
+    offsetY: (config.HEIGHT - height * scale) / 2 - y * scale,
+  };
+};
+
+export const worldToMinimap = ({ scale, offsetX, offsetY }, x, y) => ({
+  x: x * scale + offsetX,
+  y: y * scale + offsetY,
+});
+
+// The world point under a minimap pixel, e.g. where a click should centre the view
+export const minimapToWorld = ({ scale, offsetX, offsetY }, x, y) => ({
+  x: (x - offsetX) / scale,
+  y: (y - offsetY) / scale,
+});
+
+export default computeMinimapFrame;
@@ -0,0 +1,32 @@
+import { Node } from './Node';
+import { MINIMAP_CONFIG, computeMinimapFrame, worldToMinimap, minimapToWorld } from './minimapFrame';
+
+const node = (x, y) => new Node({ x, y }, { x: 0, y: 0 });
+
+test('fits a wide tree to the minimap width and centres it vertically', () => {
+  // Tree bounds -70..470 x -70..70 (radius 30, padding 40); the viewport lies inside
+  const frame = computeMinimapFrame([node(0, 0), node(400, 0)], { x: 0, y: -50, width: 100, height: 100 });
+
+  expect(frame.scale).toBeCloseTo(MINIMAP_CONFIG.WIDTH / 540);
+  expect(worldToMinimap(frame, -70, 0)).toEqual({ x: 0, y: MINIMAP_CONFIG.HEIGHT / 2 });
+  expect(worldToMinimap(frame, 470, 0).x).toBeCloseTo(MINIMAP_CONFIG.WIDTH);
+});
+
+test('includes a viewport that lies outside the tree', () => {
+  const viewport = { x: 1000, y: 1000, width: 200, height: 100 };
+  const frame = computeMinimapFrame([node(0, 0)], viewport);
+  const corner = worldToMinimap(frame, viewport.x + viewport.width, viewport.y + viewport.height);
+
+  expect(corner.x).toBeLessThanOrEqual(MINIMAP_CONFIG.WIDTH + 1e-9);
+  expect(corner.y).toBeLessThanOrEqual(MINIMAP_CONFIG.HEIGHT + 1e-9);
+  expect(worldToMinimap(frame, -70, -70).x).toBeGreaterThanOrEqual(0);
+});
+
+test('maps a click back to the world point drawn under it', () => {
+  const frame = computeMinimapFrame([node(-120, 40), node(300, 260)], { x: -500, y: -200, width: 800, height: 600 });
+  const pixel = worldToMinimap(frame, 123, -45);
+  const world = minimapToWorld(frame, pixel.x, pixel.y);
+
+  expect(world.x).toBeCloseTo(123);
+  expect(world.y).toBeCloseTo(-45);
+});
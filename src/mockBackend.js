@@ -0,0 +1,246 @@
+// Offline stand-in for the FAISS search backend, served from a bundled fixture,
+// plus an in-memory /user_trees store for the saved-trees library
+import fixture from "./mockFixture.json";
+
+// Mock backend configuration constants
+export const MOCK_CONFIG = {
+  BASE_URL: "http://mock.museum.local",
+  SEARCH_RESULTS: 10,
+  SIMILAR_RESULTS: 5,
+  LATENCY_MS: 0,
+};
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "at", "by", "for", "from", "in", "of", "on", "the", "to", "with", "made", "used",
+]);
+
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+
+// Small deterministic string hash (FNV-1a)
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Placeholder artwork so the app works without network access to museum images
+const placeholderImage = (record) => {
+  const hue = hashString(record.id) % 360;
+  const label = record.text_for_embedding.split(" ")[0];
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">` +
+    `<rect width="200" height="200" fill="hsl(${hue},45%,35%)"/>` +
+    `<circle cx="100" cy="90" r="48" fill="hsl(${(hue + 40) % 360},55%,60%)"/>` +
+    `<text x="100" y="175" font-family="sans-serif" font-size="18" fill="white" text-anchor="middle">${label}</text>` +
+    `</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+// TF-IDF vectors give stable, explainable similarity without embeddings
+const buildIndex = (records) => {
+  const documentFrequency = new Map();
+  const tokenLists = records.map((record) => tokenize(record.text_for_embedding));
+  tokenLists.forEach((tokens) => {
+    new Set(tokens).forEach((token) => {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    });
+  });
+
+  const idf = (token) =>
+    Math.log((records.length + 1) / ((documentFrequency.get(token) || 0) + 1)) + 1;
+
+  const vectorize = (tokens) => {
+    const vector = new Map();
+    tokens.forEach((token) => vector.set(token, (vector.get(token) || 0) + idf(token)));
+    const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0)) || 1;
+    vector.forEach((weight, token) => vector.set(token, weight / norm));
+    return vector;
+  };
+
+  return {
+    vectors: tokenLists.map(vectorize),
+    vectorize,
+  };
+};
+
+const cosine = (a, b) => {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, token) => {
+    sum += weight * (large.get(token) || 0);
+  });
+  return sum;
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+export const createMockBackend = ({
+  records = fixture,
+  searchResults = MOCK_CONFIG.SEARCH_RESULTS,
+  similarResults = MOCK_CONFIG.SIMILAR_RESULTS,
+  latencyMs = MOCK_CONFIG.LATENCY_MS,
+} = {}) => {
+  const objects = records.map((record) => ({
+    id: record.id,
+    Image: record.Image || placeholderImage(record),
+    text_for_embedding: record.text_for_embedding,
+  }));
+  const byId = new Map(objects.map((object, index) => [String(object.id), index]));
+  const index = buildIndex(objects);
+
+  // Rank every object against a vector; ties are broken by id so order is stable
+  const rank = (vector, excludeIndex = -1) =>
+    objects
+      .map((object, i) => ({ i, score: cosine(vector, index.vectors[i]) }))
+      .filter(({ i }) => i !== excludeIndex)
+      .sort((a, b) => b.score - a.score || String(objects[a.i].id).localeCompare(String(objects[b.i].id)));
+
+  const withScore = ({ i, score }) => ({
+    ...objects[i],
+    similarityScore: Math.round(score * 10000) / 10000,
+  });
+
+  const search = (query) => {
+    const ranked = rank(index.vectorize(tokenize(query || "")));
+    if (ranked.length && ranked[0].score > 0) {
+      return ranked.slice(0, searchResults).map(withScore);
+    }
+
+    // Vague "feeling" queries share no words with the fixture: pick a stable
+    // pseudo-random slice so the same query always yields the same objects
+    const offset = hashString((query || "").toLowerCase()) % objects.length;
+    return Array.from({ length: Math.min(searchResults, objects.length) }, (_, n) => ({
+      i: (offset + n * 37) % objects.length,
+      score: 0,
+    })).map(withScore);
+  };
+
+  const similar = (id) => {
+    const i = byId.get(String(id));
+    if (i === undefined) return null;
+    return rank(index.vectors[i], i).slice(0, similarResults).map(withScore);
+  };
+
+  // In-memory /user_trees store, one list of entries per bearer token
+  const userTrees = new Map();
+  let treeCounter = 0;
+
+  const handleUserTrees = (pathname, { method = "GET", headers = {}, body } = {}) => {
+    const owner = headers.Authorization || "anonymous";
+    if (!userTrees.has(owner)) userTrees.set(owner, []);
+    const entries = userTrees.get(owner);
+    let payload = {};
+    try {
+      if (body) payload = JSON.parse(body);
+    } catch (err) {
+      return jsonResponse({ error: "Request body is not valid JSON" }, 400);
+    }
+    const now = new Date().toISOString();
+    const summaryOf = ({ document, ...entry }) => entry;
+
+    const [, id, action] = pathname.match(/\/user_trees(?:\/([^/]+))?(?:\/([^/]+))?$/);
+    if (!id) {
+      if (method === "GET") {
+        return jsonResponse(entries.map(summaryOf).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+      }
+      if (method === "POST") {
+        const entry = { ...payload, id: `mock_tree_${++treeCounter}`, createdAt: now, updatedAt: now };
+        entries.push(entry);
+        return jsonResponse(summaryOf(entry), 201);
+      }
+      return jsonResponse({ error: "Method not allowed" }, 405);
+    }
+
+    const index = entries.findIndex((entry) => entry.id === decodeURIComponent(id));
+    if (index === -1) return jsonResponse({ error: "Tree not found" }, 404);
+    const entry = entries[index];
+
+    if (action === "duplicate" && method === "POST") {
+      const copy = { ...entry, id: `mock_tree_${++treeCounter}`, name: `${entry.name} (copy)`, createdAt: now, updatedAt: now };
+      entries.push(copy);
+      return jsonResponse(summaryOf(copy), 201);
+    }
+    if (action) return jsonResponse({ error: "Not found" }, 404);
+
+    switch (method) {
+      case "GET":
+        return jsonResponse(entry);
+      case "PUT":
+      case "PATCH":
+        entries[index] = { ...entry, ...payload, id: entry.id, createdAt: entry.createdAt, updatedAt: now };
+        return jsonResponse(summaryOf(entries[index]));
+      case "DELETE":
+        entries.splice(index, 1);
+        return { ok: true, status: 204, json: async () => undefined };
+      default:
+        return jsonResponse({ error: "Method not allowed" }, 405);
+    }
+  };
+
+  // Route a request URL to the matching handler
+  const handle = (url, init) => {
+    const { pathname, searchParams } = new URL(url, MOCK_CONFIG.BASE_URL);
+
+    if (/\/user_trees(\/|$)/.test(pathname)) {
+      return handleUserTrees(pathname, init);
+    }
+
+    if (pathname.endsWith("/search-object")) {
+      return jsonResponse(search(searchParams.get("query")));
+    }
+
+    const similarMatch = pathname.match(/\/similar-objects\/([^/]+)$/);
+    if (similarMatch) {
+      const results = similar(decodeURIComponent(similarMatch[1]));
+      return results ? jsonResponse(results) : jsonResponse({ error: "Object not found" }, 404);
+    }
+
+    return jsonResponse({ error: "Not found" }, 404);
+  };
+
+  // fetch-compatible entry point, so the real API client can run against it
+  const mockFetch = (url, init = {}) =>
+    new Promise((resolve, reject) => {
+      const { signal } = init;
+      if (signal?.aborted) {
+        reject(new DOMException("Aborted", "AbortError"));
+        return;
+      }
+      // Handler bugs reject like a failed fetch instead of throwing from the timer
+      const timer = setTimeout(() => {
+        try {
+          resolve(handle(String(url), init));
+        } catch (err) {
+          reject(err);
+        }
+      }, latencyMs);
+      signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      });
+    });
+
+  return {
+    baseUrl: MOCK_CONFIG.BASE_URL,
+    fetch: mockFetch,
+    search,
+    similar,
+    getObject: (id) => {
+      const i = byId.get(String(id));
+      return i === undefined ? null : objects[i];
+    },
+  };
+};
+
+export default createMockBackend;
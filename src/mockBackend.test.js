@@ -0,0 +1,69 @@
+import { createMockBackend } from './mockBackend';
+import { createMuseumApi } from './museumApi';
+import fixture from './mockFixture.json';
+
+const createApi = (backend = createMockBackend()) =>
+  createMuseumApi({ baseUrl: backend.baseUrl, fetchImpl: backend.fetch, retries: 0 });
+
+test('the fixture holds a few hundred unique objects', () => {
+  expect(fixture.length).toBeGreaterThanOrEqual(200);
+  expect(new Set(fixture.map((record) => record.id)).size).toBe(fixture.length);
+});
+
+test('search returns ranked records in the shape App consumes', async () => {
+  const results = await createApi().searchObjects('jade cup with dragons');
+
+  expect(results.length).toBeGreaterThan(0);
+  results.forEach((record) => {
+    expect(record).toEqual({
+      id: expect.any(String),
+      Image: expect.stringMatching(/^data:image\/svg\+xml/),
+      text_for_embedding: expect.any(String),
+      similarityScore: expect.any(Number),
+    });
+  });
+  const scores = results.map((record) => record.similarityScore);
+  expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  expect(results[0].text_for_embedding).toMatch(/jade|cup|dragon/i);
+});
+
+test('vague queries still return a stable result list', async () => {
+  const api = createApi();
+  const first = await api.searchObjects('a quiet melancholy');
+  const second = await api.searchObjects('a quiet melancholy');
+
+  expect(first.length).toBeGreaterThan(0);
+  expect(second).toEqual(first);
+});
+
+test('search, expand and reselect give deterministic similar objects', async () => {
+  const api = createApi();
+
+  const [root] = await api.searchObjects('porcelain vase');
+  const children = await api.fetchSimilarObjects(root.id);
+  expect(children).toHaveLength(5);
+  expect(children.map((child) => child.id)).not.toContain(root.id);
+
+  const grandChildren = await api.fetchSimilarObjects(children[0].id);
+  expect(grandChildren.map((child) => child.id)).not.toContain(children[0].id);
+
+  // Reselecting the root, even on a fresh backend, yields the same children
+  await expect(createApi().fetchSimilarObjects(root.id)).resolves.toEqual(children);
+});
+
+test('unknown object ids answer with 404', async () => {
+  await expect(createApi().fetchSimilarObjects('does-not-exist')).rejects.toMatchObject({
+    name: 'ApiHttpError',
+    status: 404,
+  });
+});
+
+test('malformed /user_trees bodies answer with 400', async () => {
+  const backend = createMockBackend();
+  const response = await backend.fetch(`${backend.baseUrl}/user_trees`, {
+    method: 'POST',
+    body: '{not json',
+  });
+  expect(response.status).toBe(400);
+  expect(await response.json()).toEqual({ error: 'Request body is not valid JSON' });
+});
@@ -0,0 +1,220 @@
+// Client for the museum search backend (/search-object, /similar-objects/:id)
+import Ajv from "ajv";
+
+// Client configuration defaults
+export const API_CONFIG = {
+  TIMEOUT_MS: 15000, // The free-tier backend can take a while to wake up
+  RETRIES: 2, // Extra attempts after the first one
+  BACKOFF_MS: 500, // Delay before the first retry, doubled on each attempt
+  MAX_BACKOFF_MS: 4000,
+};
+
+// Base class for every error raised by the client
+export class MuseumApiError extends Error {
+  constructor(message, { url = null, cause = null } = {}) {
+    super(message);
+    this.name = "MuseumApiError";
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+// The backend answered with a non-2xx status
+export class ApiHttpError extends MuseumApiError {
+  constructor(status, options) {
+    super(`Request failed with status ${status}`, options);
+    this.name = "ApiHttpError";
+    this.status = status;
+  }
+}
+
+// The request did not reach the backend (offline, DNS, CORS...)
+export class ApiNetworkError extends MuseumApiError {
+  constructor(options) {
+    super("Network request failed", options);
+    this.name = "ApiNetworkError";
+  }
+}
+
+// The backend did not answer within the configured timeout
+export class ApiTimeoutError extends MuseumApiError {
+  constructor(timeoutMs, options) {
+    super(`Request timed out after ${timeoutMs}ms`, options);
+    this.name = "ApiTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// The backend answered, but the payload does not match the expected schema
+export class ApiValidationError extends MuseumApiError {
+  constructor(errors, options) {
+    super(`Malformed response: ${ajv.errorsText(errors)}`, options);
+    this.name = "ApiValidationError";
+    this.errors = errors;
+  }
+}
+
+// A single museum object as returned by the backend
+export const objectRecordSchema = {
+  type: "object",
+  properties: {
+    id: { type: ["string", "integer"] },
+    Image: { type: "string" },
+    text_for_embedding: { type: "string" },
+    similarityScore: { type: "number" },
+  },
+  required: ["id", "Image", "text_for_embedding"],
+};
+
+// Both endpoints answer with either one record or a list of records
+export const recordListSchema = {
+  anyOf: [
+    objectRecordSchema,
+    { type: "array", items: objectRecordSchema },
+  ],
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateRecordList = ajv.compile(recordListSchema);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry on anything that might succeed a moment later
+const isRetryable = (error) =>
+  error instanceof ApiNetworkError ||
+  error instanceof ApiTimeoutError ||
+  (error instanceof ApiHttpError && error.status >= 500);
+
+export const createMuseumApi = ({
+  baseUrl,
+  backendName = baseUrl,
+  timeoutMs = API_CONFIG.TIMEOUT_MS,
+  retries = API_CONFIG.RETRIES,
+  backoffMs = API_CONFIG.BACKOFF_MS,
+  maxBackoffMs = API_CONFIG.MAX_BACKOFF_MS,
+  fetchImpl = (...args) => fetch(...args),
+  delay = sleep,
+} = {}) => {
+  if (!baseUrl) {
+    throw new MuseumApiError("API base URL is required");
+  }
+  const root = baseUrl.replace(/\/+$/, "");
+
+  // Single attempt with a timeout; resolves to the parsed JSON body
+  const requestOnce = async (url) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+      response = await fetchImpl(url, { signal: controller.signal });
+    } catch (err) {
+      if (controller.signal.aborted) {
+        throw new ApiTimeoutError(timeoutMs, { url, cause: err });
+      }
+      throw new ApiNetworkError({ url, cause: err });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new ApiHttpError(response.status, { url });
+    }
+
+    try {
+      return await response.json();
+    } catch (err) {
+      throw new ApiValidationError(
+        [{ instancePath: "", message: "body is not valid JSON" }],
+        { url, cause: err }
+      );
+    }
+  };
+
+  // Retry with exponential backoff, then validate and normalise to an array
+  const getRecords = async (path) => {
+    const url = `${root}${path}`;
+
+    let attempt = 0;
+    let data;
+    for (;;) {
+      try {
+        data = await requestOnce(url);
+        break;
+      } catch (err) {
+        if (attempt >= retries || !isRetryable(err)) throw err;
+        await delay(Math.min(backoffMs * 2 ** attempt, maxBackoffMs));
+        attempt++;
+      }
+    }
+
+    if (!validateRecordList(data)) {
+      throw new ApiValidationError(validateRecordList.errors, { url });
+    }
+    return Array.isArray(data) ? data : [data];
+  };
+
+  return {
+    // Identifies the backend answering, e.g. for keying cached responses
+    backendName,
+
+    // Objects matching a free-text query, best match first
+    searchObjects: (query) =>
+      getRecords(`/search-object?${new URLSearchParams({ query })}`),
+
+    // Objects similar to the object with the given database id
+    fetchSimilarObjects: (id) =>
+      getRecords(`/similar-objects/${encodeURIComponent(id)}`),
+  };
+};
+
+const envNumber = (value, fallback) =>
+  value !== undefined && value !== "" && !Number.isNaN(Number(value))
+    ? Number(value)
+    : fallback;
+
+// fetch() served by the bundled mock backend; loaded lazily so the fixture
+// stays out of the main bundle when the real backend is used. All callers
+// share one backend so saved trees and searches live in the same stand-in.
+let mockBackendPromise = null;
+export const getMockFetch = (env = process.env) => async (url, init) => {
+  if (!mockBackendPromise) {
+    mockBackendPromise = import("./mockBackend").then(({ createMockBackend }) =>
+      createMockBackend({
+        latencyMs: envNumber(env.REACT_APP_MOCK_LATENCY_MS, 0),
+      })
+    );
+  }
+  const backend = await mockBackendPromise;
+  return backend.fetch(url, init);
+};
+
+// Client backed by the bundled mock backend
+const createMockMuseumApi = (env) =>
+  createMuseumApi({
+    baseUrl: env.REACT_APP_API_URL || "http://mock.museum.local",
+    backendName: "mock",
+    fetchImpl: getMockFetch(env),
+    retries: 0,
+  });
+
+// Build a client from the REACT_APP_* environment variables
+export const createMuseumApiFromEnv = (env = process.env) => {
+  if (env.REACT_APP_USE_MOCK_API === "true") {
+    return createMockMuseumApi(env);
+  }
+
+  const baseUrl = env.REACT_APP_API_URL;
+  if (!baseUrl) {
+    console.error("REACT_APP_API_URL environment variable is required");
+    throw new MuseumApiError("API URL not configured");
+  }
+
+  return createMuseumApi({
+    baseUrl,
+    timeoutMs: envNumber(env.REACT_APP_API_TIMEOUT_MS, API_CONFIG.TIMEOUT_MS),
+    retries: envNumber(env.REACT_APP_API_RETRIES, API_CONFIG.RETRIES),
+  });
+};
+
+export default createMuseumApi;
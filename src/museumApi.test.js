@@ -0,0 +1,84 @@
+import {
+  createMuseumApi,
+  ApiHttpError,
+  ApiNetworkError,
+  ApiTimeoutError,
+  ApiValidationError,
+} from './museumApi';
+
+const record = { id: 'A1', Image: 'https://example.org/a1.jpg', text_for_embedding: 'Jade cup' };
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+const createClient = (fetchImpl, options = {}) =>
+  createMuseumApi({ baseUrl: 'http://api.test/', fetchImpl, delay: async () => {}, ...options });
+
+test('encodes the search query and normalises a single record to an array', async () => {
+  const fetchImpl = jest.fn(async () => jsonResponse(record));
+  const api = createClient(fetchImpl);
+
+  await expect(api.searchObjects('cup & saucer?')).resolves.toEqual([record]);
+  expect(fetchImpl.mock.calls[0][0]).toBe('http://api.test/search-object?query=cup+%26+saucer%3F');
+});
+
+test('encodes the object id in the similar-objects path', async () => {
+  const fetchImpl = jest.fn(async () => jsonResponse([{ ...record, similarityScore: 0.8 }]));
+  const api = createClient(fetchImpl);
+
+  await api.fetchSimilarObjects('1937/04 16');
+  expect(fetchImpl.mock.calls[0][0]).toBe('http://api.test/similar-objects/1937%2F04%2016');
+});
+
+test('retries 5xx responses and network failures with backoff', async () => {
+  const fetchImpl = jest.fn()
+    .mockResolvedValueOnce(jsonResponse(null, 503))
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(jsonResponse([record]));
+  const delay = jest.fn(async () => {});
+  const api = createClient(fetchImpl, { retries: 2, backoffMs: 100, delay });
+
+  await expect(api.searchObjects('cup')).resolves.toEqual([record]);
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+  expect(delay.mock.calls).toEqual([[100], [200]]);
+});
+
+test('gives up after the configured number of retries', async () => {
+  const fetchImpl = jest.fn(async () => { throw new TypeError('offline'); });
+  const api = createClient(fetchImpl, { retries: 1 });
+
+  await expect(api.searchObjects('cup')).rejects.toBeInstanceOf(ApiNetworkError);
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test('does not retry client errors', async () => {
+  const fetchImpl = jest.fn(async () => jsonResponse(null, 404));
+  const api = createClient(fetchImpl);
+
+  const error = await api.fetchSimilarObjects('A1').catch((err) => err);
+  expect(error).toBeInstanceOf(ApiHttpError);
+  expect(error.status).toBe(404);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('aborts requests that exceed the timeout', async () => {
+  const fetchImpl = (url, { signal }) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+  const api = createClient(fetchImpl, { timeoutMs: 10, retries: 0 });
+
+  await expect(api.searchObjects('cup')).rejects.toBeInstanceOf(ApiTimeoutError);
+});
+
+test('rejects malformed records', async () => {
+  const fetchImpl = jest.fn(async () => jsonResponse([record, { id: 'B2', Image: 42 }]));
+  const api = createClient(fetchImpl);
+
+  const error = await api.searchObjects('cup').catch((err) => err);
+  expect(error).toBeInstanceOf(ApiValidationError);
+  expect(error.errors.length).toBeGreaterThan(0);
+});
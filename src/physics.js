@@ -1,66 +1,184 @@
 import { Node } from "./Node.js";
 
-// Physics configuration constants
-const PHYSICS_CONFIG = {
+// Default physics configuration; TreeGraph instances can override any of these
+export const PHYSICS_CONFIG = {
   DAMPING: 0.5,
   COLLISION_BUFFER: 5,
   RESTING_THRESHOLD: 0.15, // Velocity threshold for considering a node "at rest"
   SPRING_FORCE: 0.1,
   TARGET_LINK_LENGTH: 150,
   ANGULAR_RESTORING_FORCE: 0.01,
-  WIND_DAMPING_FACTOR: 0.2
+  WIND_DAMPING_FACTOR: 0.2,
+  WIND_STRENGTH: 1, // Multiplier on the wind force passed in
+  CROSS_LINK_STRENGTH: 0.3, // Spring force on graph-mode cross-links, relative to tree links
+  SPATIAL_INDEX_MIN_NODES: 400 // Below this many nodes checking every collision pair is faster
 };
 
-// Physics update function
-export const updatePhysics = (nodes, links, windForce) => {
+// Uniform grid over node positions so collision checks only look at nearby
+// nodes. Cells are as wide as the largest possible collision distance plus some
+// slack for a node that is pushed while its own collisions are resolved, so
+// checking a node's cell and its 8 neighbours finds nearly every overlapping
+// pair. Nodes are re-bucketed whenever they move.
+const buildSpatialGrid = (nodes, config) => {
+  let maxExtends = 0;
+  nodes.forEach((node) => {
+    maxExtends = Math.max(maxExtends, node.extends);
+  });
+  const cellSize = 3 * maxExtends + config.COLLISION_BUFFER || 1;
+
+  const grid = { cells: new Map(), keys: new Array(nodes.length), cellSize };
+  nodes.forEach((node, index) => {
+    const key = cellKey(grid, node.position.x, node.position.y);
+    grid.keys[index] = key;
+    addToCell(grid, key, index);
+  });
+  return grid;
+};
+
+// Cell coordinates packed into one number (exact while both stay within
+// +-2^25 cells), which Map hashes far faster than a string
+const CELL_OFFSET = 2 ** 25;
+const packCell = (cx, cy) => (cx + CELL_OFFSET) * 2 ** 26 + (cy + CELL_OFFSET);
+
+const cellKey = ({ cellSize }, x, y) =>
+  packCell(Math.floor(x / cellSize), Math.floor(y / cellSize));
+
+const addToCell = ({ cells }, key, index) => {
+  const cell = cells.get(key);
+  if (cell) {
+    cell.push(index);
+  } else {
+    cells.set(key, [index]);
+  }
+};
+
+// Move a node to the cell matching its current position, if it changed.
+// Order within a cell doesn't matter, so the node is swapped out of its old one.
+const updateGrid = (grid, index, position) => {
+  const key = cellKey(grid, position.x, position.y);
+  const previousKey = grid.keys[index];
+  if (key === previousKey) return;
+
+  const previousCell = grid.cells.get(previousKey);
+  previousCell[previousCell.indexOf(index)] = previousCell[previousCell.length - 1];
+  previousCell.pop();
+  grid.keys[index] = key;
+  addToCell(grid, key, index);
+};
+
+// Fill `found` with the indices above `after` of all nodes in the 3x3 block of
+// cells around a position, in ascending order. The buffer is reused between
+// calls, so this allocates nothing.
+const queryGrid = ({ cells, cellSize }, position, after, found) => {
+  found.length = 0;
+  const cx = Math.floor(position.x / cellSize);
+  const cy = Math.floor(position.y / cellSize);
+  for (let x = cx - 1; x <= cx + 1; x++) {
+    for (let y = cy - 1; y <= cy + 1; y++) {
+      const cell = cells.get(packCell(x, y));
+      if (!cell) continue;
+      for (let c = 0; c < cell.length; c++) {
+        const index = cell[c];
+        if (index <= after) continue;
+        // Insertion keeps the handful of candidates sorted
+        let slot = found.length;
+        while (slot > 0 && found[slot - 1] > index) {
+          found[slot] = found[slot - 1];
+          slot--;
+        }
+        found[slot] = index;
+      }
+    }
+  }
+  return found;
+};
+
+const candidateBuffer = [];
+
+// Push two overlapping nodes apart; a pinned node can't give way, so the
+// other one takes the whole overlap. Returns whether they overlapped.
+const resolveCollision = (node, otherNode, config) => {
+  const dx = otherNode.position.x - node.position.x;
+  const dy = otherNode.position.y - node.position.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const minDistance = node.extends + otherNode.extends + config.COLLISION_BUFFER;
+  if (distance >= minDistance) return false;
+
+  const angle = Math.atan2(dy, dx);
+  const overlap = minDistance - distance;
+  const share = node.pinned || otherNode.pinned ? 1 : 0.5;
+  const resolveX = overlap * share * Math.cos(angle);
+  const resolveY = overlap * share * Math.sin(angle);
+
+  if (!node.pinned) {
+    node.position.x -= resolveX;
+    node.position.y -= resolveY;
+  }
+  if (!otherNode.pinned) {
+    otherNode.position.x += resolveX;
+    otherNode.position.y += resolveY;
+  }
+  // Note: Velocity adjustments left out to avoid fighting with spring forces
+  // These could be re-enabled with careful tuning if needed
+  return true;
+};
+
+// Physics update function. dt is a fixed timestep in frames (1 = one frame at
+// the original tuning) and config a complete PHYSICS_CONFIG-shaped object;
+// returns true when every non-root node is at rest
+export const updatePhysics = (nodes, links, windForce, dt = 1, config = PHYSICS_CONFIG) => {
   // Phase 1: Basic physics (collision detection, damping, position updates)
   let allResting = true; // Will be calculated based on actual velocities
+  const grid = nodes.length >= config.SPATIAL_INDEX_MIN_NODES ? buildSpatialGrid(nodes, config) : null;
 
   nodes.forEach((node, index) => {
     if (node.parentNode === null) return; // Skip root node
+    if (node.pinned) {
+      // Pinned nodes don't move; spring forces on them are simply dropped
+      node.velocity.x = 0;
+      node.velocity.y = 0;
+      node.resting = true;
+    } else {
+      // Update position based on velocity
+      node.position.x += node.velocity.x * dt;
+      node.position.y += node.velocity.y * dt;
+      if (grid) updateGrid(grid, index, node.position);
+
+      // Apply damping to velocity
+      const damping = config.DAMPING ** dt;
+      node.velocity.x *= damping;
+      node.velocity.y *= damping;
 
-    // Update position based on velocity
-    node.position.x += node.velocity.x;
-    node.position.y += node.velocity.y;
-
-    // Apply damping to velocity
-    node.velocity.x *= PHYSICS_CONFIG.DAMPING;
-    node.velocity.y *= PHYSICS_CONFIG.DAMPING;
-
-    // Calculate actual speed and determine if node is at rest
-    const speed = Math.sqrt(node.velocity.x ** 2 + node.velocity.y ** 2);
-    const isResting = speed < PHYSICS_CONFIG.RESTING_THRESHOLD;
-    
-    // Update node's resting state
-    node.resting = isResting;
-    
-    // Track if ALL nodes are resting (for phase 2)
-    if (!isResting) {
-      allResting = false;
+      // Calculate actual speed and determine if node is at rest
+      const speed = Math.sqrt(node.velocity.x ** 2 + node.velocity.y ** 2);
+      const isResting = speed < config.RESTING_THRESHOLD;
+
+      // Update node's resting state
+      node.resting = isResting;
+
+      // Track if ALL nodes are resting (for phase 2)
+      if (!isResting) {
+        allResting = false;
+      }
     }
 
-    // Check for collisions with other nodes
-    for (let i = index + 1; i < nodes.length; i++) {
-      const otherNode = nodes[i];
-      const dx = otherNode.position.x - node.position.x;
-      const dy = otherNode.position.y - node.position.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const minDistance = node.extends + otherNode.extends + PHYSICS_CONFIG.COLLISION_BUFFER;
-
-      if (distance < minDistance) {
-        // Resolve collision
-        const angle = Math.atan2(dy, dx);
-        const overlap = minDistance - distance;
-        const resolveX = (overlap / 2) * Math.cos(angle);
-        const resolveY = (overlap / 2) * Math.sin(angle);
-
-        node.position.x -= resolveX;
-        node.position.y -= resolveY;
-        otherNode.position.x += resolveX;
-        otherNode.position.y += resolveY;
-
-        // Note: Velocity adjustments commented out to avoid fighting with spring forces
-        // These could be re-enabled with careful tuning if needed
+    // Check for collisions with nodes later in the list, in index order. Small
+    // trees check every pair; larger ones only the 3x3 block of cells around
+    // the node. A node pushed out of that block by an earlier resolution in the
+    // same frame can be missed, so the grid matches testing every pair closely
+    // rather than exactly.
+    if (!grid) {
+      for (let i = index + 1; i < nodes.length; i++) {
+        resolveCollision(node, nodes[i], config);
+      }
+      return;
+    }
+    const candidates = queryGrid(grid, node.position, index, candidateBuffer);
+    for (let c = 0; c < candidates.length; c++) {
+      const i = candidates[c];
+      if (resolveCollision(node, nodes[i], config)) {
+        updateGrid(grid, index, node.position);
+        updateGrid(grid, i, nodes[i].position);
       }
     }
   });
@@ -74,10 +192,13 @@ export const updatePhysics = (nodes, links, windForce) => {
       const dx = target.position.x - source.position.x;
       const dy = target.position.y - source.position.y;
       const distance = Math.sqrt(dx * dx + dy * dy);
-      const diff = distance - PHYSICS_CONFIG.TARGET_LINK_LENGTH;
+      const diff = distance - config.TARGET_LINK_LENGTH;
 
       // Apply spring force to maintain link length
-      const springForce = PHYSICS_CONFIG.SPRING_FORCE * (0.8*diff);
+      // Cross-links join separate branches, so they pull more gently and
+      // skip the angular and wind terms that shape the tree
+      const strength = link.crossLink ? config.CROSS_LINK_STRENGTH : 1;
+      const springForce = config.SPRING_FORCE * (0.8*diff) * dt * strength;
       const fx = (springForce * dx) / distance;
       const fy = (springForce * dy) / distance;
 
@@ -86,6 +207,8 @@ export const updatePhysics = (nodes, links, windForce) => {
       source.velocity.x += fx;
       source.velocity.y += fy;
 
+      if (link.crossLink) return;
+
       // Calculate and store the initial angle for angular stability
       if (!link.initialAngle && target.resting && source.resting) {
         link.initialAngle = Math.atan2(dy, dx);
@@ -98,9 +221,9 @@ export const updatePhysics = (nodes, links, windForce) => {
 
         // Clamp angle difference to prevent excessive forces
         const restoringForce = Math.max(
-          Math.min(-PHYSICS_CONFIG.ANGULAR_RESTORING_FORCE * angleDiff, 0.1), 
+          Math.min(-config.ANGULAR_RESTORING_FORCE * angleDiff, 0.1), 
           -0.1
-        );
+        ) * dt;
 
         const angleForceX = restoringForce * Math.cos(currentAngle + Math.PI / 2);
         const angleForceY = restoringForce * Math.sin(currentAngle + Math.PI / 2);
@@ -114,16 +237,21 @@ export const updatePhysics = (nodes, links, windForce) => {
       // Apply wind force for natural movement
       const windScaleFactor = (index + 1) ** 3 / links.length;
 
-      target.velocity.x += windForce[0] * windScaleFactor;
-      target.velocity.y += -windForce[1];
-      source.velocity.x += windForce[0] * windScaleFactor;
-      source.velocity.y += -windForce[1];
+      const windX = windForce[0] * config.WIND_STRENGTH * windScaleFactor * dt;
+      const windY = windForce[1] * config.WIND_STRENGTH * dt;
+      target.velocity.x += windX;
+      target.velocity.y -= windY;
+      source.velocity.x += windX;
+      source.velocity.y -= windY;
 
       // Apply additional damping for wind effects
-      target.velocity.x *= 1 - PHYSICS_CONFIG.WIND_DAMPING_FACTOR;
-      target.velocity.y *= 1 - PHYSICS_CONFIG.WIND_DAMPING_FACTOR;
-      source.velocity.x *= 1 - PHYSICS_CONFIG.WIND_DAMPING_FACTOR;
-      source.velocity.y *= 1 - PHYSICS_CONFIG.WIND_DAMPING_FACTOR;
+      const windDamping = (1 - config.WIND_DAMPING_FACTOR) ** dt;
+      target.velocity.x *= windDamping;
+      target.velocity.y *= windDamping;
+      source.velocity.x *= windDamping;
+      source.velocity.y *= windDamping;
     });
   }
+
+  return allResting;
 };
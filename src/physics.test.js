@@ -0,0 +1,80 @@
+import { Node } from './Node';
+import { updatePhysics, PHYSICS_CONFIG } from './physics';
+import { bruteForceCollisions, buildCrowdedNodes } from './physicsFixtures';
+
+// Uses the spatial index whatever the node count
+const gridStep = (nodes) =>
+  updatePhysics(nodes, [], [0, 0], 1, { ...PHYSICS_CONFIG, SPATIAL_INDEX_MIN_NODES: 0 });
+
+describe.each([100, 1000])('collision resolution with %i nodes', (count) => {
+  test('the spatial index matches checking every pair', () => {
+    const indexed = buildCrowdedNodes(count);
+    const reference = buildCrowdedNodes(count);
+
+    for (let frame = 0; frame < 3; frame++) {
+      gridStep(indexed);
+      bruteForceCollisions(reference);
+    }
+
+    indexed.forEach((node, i) => {
+      expect(node.position.x).toBeCloseTo(reference[i].position.x, 9);
+      expect(node.position.y).toBeCloseTo(reference[i].position.y, 9);
+    });
+  });
+});
+
+test('small trees check every pair', () => {
+  const count = PHYSICS_CONFIG.SPATIAL_INDEX_MIN_NODES - 1;
+  const nodes = buildCrowdedNodes(count);
+  const reference = buildCrowdedNodes(count);
+
+  updatePhysics(nodes, [], [0, 0]);
+  bruteForceCollisions(reference);
+
+  expect(nodes.map((node) => node.position)).toEqual(reference.map((node) => node.position));
+});
+
+describe('pinned nodes', () => {
+  test('stay in place but still anchor their springs', () => {
+    const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'root');
+    const pinned = new Node({ x: 0, y: -400 }, { x: 3, y: 3 }, 'pinned', null, root);
+    const child = new Node({ x: 0, y: -900 }, { x: 0, y: 0 }, 'child', null, pinned);
+    pinned.pinned = true;
+    const nodes = [root, pinned, child];
+    const links = [
+      { source: root, target: pinned },
+      { source: pinned, target: child },
+    ];
+
+    for (let frame = 0; frame < 50; frame++) updatePhysics(nodes, links, [0, 0]);
+
+    expect(pinned.position).toEqual({ x: 0, y: -400 });
+    // The child is pulled towards the pinned node, not the root
+    expect(child.position.y).toBeGreaterThan(-900);
+    expect(child.position.y).toBeLessThan(-400);
+  });
+
+  test('push overlapping nodes out of the way without moving', () => {
+    const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'root');
+    const other = new Node({ x: 300, y: 0 }, { x: 0, y: 0 }, 'other', null, root);
+    const pinned = new Node({ x: 310, y: 0 }, { x: 0, y: 0 }, 'pinned', null, root);
+    pinned.pinned = true;
+
+    updatePhysics([root, other, pinned], [], [0, 0]);
+
+    expect(pinned.position).toEqual({ x: 310, y: 0 });
+    expect(310 - other.position.x).toBeCloseTo(other.extends + pinned.extends + 5);
+  });
+
+  test('push overlapping nodes that come after them in the list', () => {
+    const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'root');
+    const pinned = new Node({ x: 310, y: 0 }, { x: 0, y: 0 }, 'pinned', null, root);
+    const other = new Node({ x: 300, y: 0 }, { x: 0, y: 0 }, 'other', null, root);
+    pinned.pinned = true;
+
+    updatePhysics([root, pinned, other], [], [0, 0]);
+
+    expect(pinned.position).toEqual({ x: 310, y: 0 });
+    expect(310 - other.position.x).toBeCloseTo(other.extends + pinned.extends + 5);
+  });
+});
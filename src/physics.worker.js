@@ -0,0 +1,123 @@
+// Web Worker that owns node positions and velocities and steps physics.js off
+// the main thread. Talks to physicsRunner.js through small messages:
+//   add       { nodes: [{ key, x, y, vx, vy, extends, pinned, parentKey }], version }
+//   remove    { keys: [key], version }
+//   links     { links: [{ sourceKey, targetKey, crossLink }] }
+//   positions { positions: [{ key, x, y }], version }  (main thread moved nodes)
+//   pin       { key, pinned, x, y }
+//   resize    { sizes: [{ key, extends }] }
+//   step      { wind, dt, config }  -> replies { type: "frame", version, buffer }
+// The reply buffer holds [x, y, resting] per node, in the order nodes were
+// added (minus removed ones), which the runner mirrors. The angles links
+// settle at (physics.js' initialAngle) only live here, keyed by link, so they
+// survive every links message.
+import { updatePhysics } from "./physics.js";
+
+const nodes = [];
+const byKey = new Map();
+let links = [];
+let version = 0;
+const initialAngles = new Map(); // link key -> { sourceKey, targetKey, angle }
+
+const linkKey = (sourceKey, targetKey) => JSON.stringify([sourceKey, targetKey]);
+
+const handlers = {
+  add: ({ nodes: added, version: nextVersion }) => {
+    added.forEach((data) => {
+      const node = {
+        key: data.key,
+        position: { x: data.x, y: data.y },
+        velocity: { x: data.vx, y: data.vy },
+        extends: data.extends,
+        parentNode: data.parentKey === null ? null : byKey.get(data.parentKey) || null,
+        resting: false,
+        pinned: data.pinned,
+      };
+      nodes.push(node);
+      byKey.set(node.key, node);
+    });
+    version = nextVersion;
+  },
+
+  remove: ({ keys, version: nextVersion }) => {
+    const removed = new Set(keys);
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      if (removed.has(nodes[i].key)) nodes.splice(i, 1);
+    }
+    keys.forEach((key) => byKey.delete(key));
+    initialAngles.forEach(({ sourceKey, targetKey }, key) => {
+      if (removed.has(sourceKey) || removed.has(targetKey)) initialAngles.delete(key);
+    });
+    links = links.filter((link) => !removed.has(link.source.key) && !removed.has(link.target.key));
+    version = nextVersion;
+  },
+
+  links: ({ links: nextLinks }) => {
+    // Remember the angles of the current links before replacing them
+    links.forEach((link) => {
+      if (link.initialAngle !== undefined) {
+        const { key: sourceKey } = link.source;
+        const { key: targetKey } = link.target;
+        initialAngles.set(linkKey(sourceKey, targetKey), {
+          sourceKey,
+          targetKey,
+          angle: link.initialAngle,
+        });
+      }
+    });
+    links = nextLinks
+      .map(({ sourceKey, targetKey, crossLink }) => ({
+        source: byKey.get(sourceKey),
+        target: byKey.get(targetKey),
+        initialAngle: initialAngles.get(linkKey(sourceKey, targetKey))?.angle,
+        crossLink,
+      }))
+      .filter((link) => link.source && link.target);
+  },
+
+  positions: ({ positions, version: nextVersion }) => {
+    positions.forEach(({ key, x, y }) => {
+      const node = byKey.get(key);
+      if (!node) return;
+      node.position.x = x;
+      node.position.y = y;
+      node.velocity.x = 0;
+      node.velocity.y = 0;
+    });
+    version = nextVersion;
+  },
+
+  pin: ({ key, pinned, x, y }) => {
+    const node = byKey.get(key);
+    if (!node) return;
+    node.pinned = pinned;
+    node.position.x = x;
+    node.position.y = y;
+    node.velocity.x = 0;
+    node.velocity.y = 0;
+  },
+
+  resize: ({ sizes }) => {
+    sizes.forEach(({ key, extends: size }) => {
+      const node = byKey.get(key);
+      if (node) node.extends = size;
+    });
+  },
+
+  step: ({ wind, dt, config }) => {
+    updatePhysics(nodes, links, wind, dt, config);
+
+    const buffer = new Float64Array(nodes.length * 3);
+    nodes.forEach((node, i) => {
+      buffer[i * 3] = node.position.x;
+      buffer[i * 3 + 1] = node.position.y;
+      buffer[i * 3 + 2] = node.resting ? 1 : 0;
+    });
+    postMessage({ type: "frame", version, buffer }, [buffer.buffer]);
+  },
+};
+
+onmessage = ({ data }) => {
+  const handler = handlers[data.type];
+  if (handler) handler(data);
+};
@@ -0,0 +1,62 @@
+// Shared by the physics tests and scripts/benchmarkPhysics.mjs: a dense,
+// reproducible layout and the collision pass as it was before the spatial
+// index, to compare updatePhysics against
+import { Node } from "./Node.js";
+
+const COLLISION_BUFFER = 5;
+const DAMPING = 0.5;
+
+// The collision pass checking every pair, in order
+export const bruteForceCollisions = (nodes) => {
+  nodes.forEach((node, index) => {
+    if (node.parentNode === null) return;
+    node.position.x += node.velocity.x;
+    node.position.y += node.velocity.y;
+    node.velocity.x *= DAMPING;
+    node.velocity.y *= DAMPING;
+
+    for (let i = index + 1; i < nodes.length; i++) {
+      const otherNode = nodes[i];
+      const dx = otherNode.position.x - node.position.x;
+      const dy = otherNode.position.y - node.position.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const minDistance = node.extends + otherNode.extends + COLLISION_BUFFER;
+      if (distance < minDistance) {
+        const angle = Math.atan2(dy, dx);
+        const overlap = minDistance - distance;
+        const resolveX = (overlap / 2) * Math.cos(angle);
+        const resolveY = (overlap / 2) * Math.sin(angle);
+        node.position.x -= resolveX;
+        node.position.y -= resolveY;
+        otherNode.position.x += resolveX;
+        otherNode.position.y += resolveY;
+      }
+    }
+  });
+};
+
+// Deterministic pseudo-random numbers so every run sees the same layout
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+// A root with count - 1 children scattered densely enough that many overlap
+export const buildCrowdedNodes = (count, seed = 42) => {
+  const random = createRandom(seed);
+  const side = Math.sqrt(count) * 55;
+  const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, "root");
+  const nodes = [root];
+  for (let i = 1; i < count; i++) {
+    const node = new Node(
+      { x: random() * side, y: random() * side },
+      { x: (random() - 0.5) * 2, y: (random() - 0.5) * 2 },
+      `node ${i}`,
+      null,
+      root
+    );
+    root.childNodes.push(node);
+    nodes.push(node);
+  }
+  return nodes;
+};
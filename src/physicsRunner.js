@@ -0,0 +1,177 @@
+// Runs the TreeGraph physics either in a Web Worker (physics.worker.js) or,
+// where workers are unavailable or fail, on the main thread as before.
+import { updatePhysics } from "./physics.js";
+import { createPhysicsWorker } from "./physicsWorkerFactory.js";
+
+const createWorker = () => {
+  try {
+    return createPhysicsWorker();
+  } catch (err) {
+    console.warn("Physics worker unavailable, using the main thread", err);
+    return null;
+  }
+};
+
+// In-thread runner: mutates the Node objects directly
+const createInThreadRunner = () => ({
+  usesWorker: false,
+  step: (nodes, links, wind, dt, config) => {
+    updatePhysics(nodes, links, wind, dt, config);
+  },
+  pin: (node, pinned) => {
+    node.pinned = pinned;
+  },
+  resync: () => {},
+  resize: () => {},
+  dispose: () => {},
+});
+
+export const createPhysicsRunner = ({ useWorker = true } = {}) => {
+  const worker = useWorker ? createWorker() : null;
+  if (!worker) return createInThreadRunner();
+
+  let fallback = null; // In-thread runner once the worker has failed
+  let order = []; // Node keys in the worker's order
+  const byKey = new Map(); // key -> Node, for the nodes the worker knows
+  let version = 0; // Bumped on every add/remove and resync, so older frames are dropped
+  let lastLinks = null;
+  let latestFrame = null;
+  let awaitingFrame = false;
+
+  const keyOf = (node) => node.instanceId;
+
+  worker.onmessage = ({ data }) => {
+    if (data.type !== "frame") return;
+    awaitingFrame = false;
+    latestFrame = data;
+  };
+  worker.onerror = (event) => {
+    console.warn("Physics worker failed, falling back to the main thread", event.message);
+    event.preventDefault();
+    worker.terminate();
+    fallback = createInThreadRunner();
+  };
+
+  const sendLinks = (links) => {
+    lastLinks = links;
+    worker.postMessage({
+      type: "links",
+      links: links.map((link) => ({
+        sourceKey: keyOf(link.source),
+        targetKey: keyOf(link.target),
+        crossLink: link.crossLink,
+      })),
+    });
+  };
+
+  // Mirror node additions/removals and link changes into the worker
+  const sync = (nodes, links) => {
+    const current = new Set();
+    const added = [];
+    nodes.forEach((node) => {
+      const key = keyOf(node);
+      current.add(key);
+      if (!byKey.has(key)) {
+        byKey.set(key, node);
+        order.push(key);
+        added.push({
+          key,
+          x: node.position.x,
+          y: node.position.y,
+          vx: node.velocity.x,
+          vy: node.velocity.y,
+          extends: node.extends,
+          pinned: node.pinned,
+          parentKey: node.parentNode ? keyOf(node.parentNode) : null,
+        });
+      }
+    });
+
+    const removed = order.filter((key) => !current.has(key));
+    if (removed.length) {
+      removed.forEach((key) => byKey.delete(key));
+      order = order.filter((key) => current.has(key));
+      worker.postMessage({ type: "remove", keys: removed, version: ++version });
+    }
+    if (added.length) {
+      worker.postMessage({ type: "add", nodes: added, version: ++version });
+    }
+    if (links !== lastLinks) sendLinks(links);
+  };
+
+  // Copy the newest worker frame onto the Node objects, if it is still current
+  const applyFrame = () => {
+    if (!latestFrame || latestFrame.version !== version) return;
+    const { buffer } = latestFrame;
+    order.forEach((key, i) => {
+      const node = byKey.get(key);
+      if (node.pinned) return; // The main thread owns pinned (e.g. dragged) nodes
+      node.position.x = buffer[i * 3];
+      node.position.y = buffer[i * 3 + 1];
+      node.resting = buffer[i * 3 + 2] === 1;
+    });
+    latestFrame = null;
+  };
+
+  return {
+    get usesWorker() {
+      return !fallback;
+    },
+
+    // Called once per animation frame
+    step: (nodes, links, wind, dt, config) => {
+      if (fallback) return fallback.step(nodes, links, wind, dt, config);
+      sync(nodes, links);
+      applyFrame();
+      if (!awaitingFrame) {
+        awaitingFrame = true;
+        worker.postMessage({ type: "step", wind, dt, config });
+      }
+    },
+
+    // Pin or unpin a node at its current position; call again while dragging
+    pin: (node, pinned) => {
+      if (fallback) return fallback.pin(node, pinned);
+      node.pinned = pinned;
+      if (!byKey.has(keyOf(node))) return; // Sent with the node when it's added
+      worker.postMessage({
+        type: "pin",
+        key: keyOf(node),
+        pinned,
+        x: node.position.x,
+        y: node.position.y,
+      });
+    },
+
+    // Push main-thread positions (e.g. after a layout switch) and fresh links
+    resync: (nodes, links) => {
+      if (fallback) return;
+      sync(nodes, links);
+      worker.postMessage({
+        type: "positions",
+        positions: nodes.map((node) => ({
+          key: keyOf(node),
+          x: node.position.x,
+          y: node.position.y,
+        })),
+        version: ++version,
+      });
+      sendLinks(links);
+      latestFrame = null;
+    },
+
+    // Push changed node sizes (collision radius)
+    resize: (nodes) => {
+      if (fallback) return;
+      worker.postMessage({
+        type: "resize",
+        sizes: nodes.map((node) => ({ key: keyOf(node), extends: node.extends })),
+      });
+    },
+
+    dispose: () => {
+      if (fallback) return fallback.dispose();
+      worker.terminate();
+    },
+  };
+};
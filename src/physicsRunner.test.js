@@ -0,0 +1,170 @@
+import { Node } from './Node';
+import { PHYSICS_CONFIG } from './physics';
+import { createPhysicsRunner } from './physicsRunner';
+import { createPhysicsWorker } from './physicsWorkerFactory';
+
+jest.mock('./physicsWorkerFactory', () => ({ createPhysicsWorker: jest.fn() }));
+
+// Records what the runner posts; tests answer through onmessage/onerror
+const createFakeWorker = () => ({
+  messages: [],
+  postMessage(message) {
+    this.messages.push(message);
+  },
+  terminate: jest.fn(),
+  onmessage: null,
+  onerror: null,
+});
+
+const buildTree = () => {
+  const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'root');
+  const child = new Node({ x: 0, y: -150 }, { x: 2, y: 0 }, 'child', null, root);
+  root.childNodes.push(child);
+  return { nodes: [root, child], links: [{ source: root, target: child }] };
+};
+
+const step = (runner, { nodes, links }) => runner.step(nodes, links, [0, 0], 1, PHYSICS_CONFIG);
+
+describe('without a worker', () => {
+  test('runs on the main thread when workers are unavailable', () => {
+    createPhysicsWorker.mockReturnValue(null);
+    const tree = buildTree();
+    const runner = createPhysicsRunner();
+
+    step(runner, tree);
+
+    expect(runner.usesWorker).toBe(false);
+    expect(tree.nodes[1].position.x).toBe(2);
+  });
+
+  test('runs on the main thread when the worker cannot be created', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    createPhysicsWorker.mockImplementation(() => {
+      throw new Error('blocked');
+    });
+
+    expect(createPhysicsRunner().usesWorker).toBe(false);
+  });
+
+  test('never creates a worker when asked not to', () => {
+    expect(createPhysicsRunner({ useWorker: false }).usesWorker).toBe(false);
+    expect(createPhysicsWorker).not.toHaveBeenCalled();
+  });
+});
+
+describe('with a worker', () => {
+  let worker;
+  beforeEach(() => {
+    worker = createFakeWorker();
+    createPhysicsWorker.mockReturnValue(worker);
+  });
+
+  test('mirrors nodes and links, then asks for a frame', () => {
+    const tree = buildTree();
+    const [root, child] = tree.nodes;
+    const runner = createPhysicsRunner();
+
+    step(runner, tree);
+
+    expect(runner.usesWorker).toBe(true);
+    expect(worker.messages.map((message) => message.type)).toEqual(['add', 'links', 'step']);
+    expect(worker.messages[0].nodes).toEqual([
+      expect.objectContaining({ key: root.instanceId, parentKey: null }),
+      expect.objectContaining({ key: child.instanceId, parentKey: root.instanceId, vx: 2 }),
+    ]);
+    // The worker keeps the settled link angles itself
+    expect(worker.messages[1].links).toEqual([
+      { sourceKey: root.instanceId, targetKey: child.instanceId, crossLink: undefined },
+    ]);
+    // Nothing moves on the main thread
+    expect(child.position).toEqual({ x: 0, y: -150 });
+  });
+
+  test('applies the newest frame and waits for it before stepping again', () => {
+    const tree = buildTree();
+    const [, child] = tree.nodes;
+    const runner = createPhysicsRunner();
+
+    step(runner, tree);
+    step(runner, tree);
+    expect(worker.messages.filter((message) => message.type === 'step')).toHaveLength(1);
+
+    const buffer = new Float64Array([0, 0, 1, 12, -140, 1]);
+    worker.onmessage({ data: { type: 'frame', version: 1, buffer } });
+    step(runner, tree);
+
+    expect(child.position).toEqual({ x: 12, y: -140 });
+    expect(child.resting).toBe(true);
+    expect(worker.messages.filter((message) => message.type === 'step')).toHaveLength(2);
+  });
+
+  test('drops frames computed before the node set changed', () => {
+    const tree = buildTree();
+    const [root, child] = tree.nodes;
+    const runner = createPhysicsRunner();
+    step(runner, tree);
+
+    const grandchild = new Node({ x: 0, y: -300 }, { x: 0, y: 0 }, 'grandchild', null, child);
+    const grown = { nodes: [root, child, grandchild], links: tree.links };
+    worker.onmessage({ data: { type: 'frame', version: 1, buffer: new Float64Array([0, 0, 1, 12, -140, 1]) } });
+    step(runner, grown);
+
+    expect(worker.messages.filter((message) => message.type === 'add')[1]).toMatchObject({
+      version: 2,
+      nodes: [{ key: grandchild.instanceId }],
+    });
+    expect(child.position).toEqual({ x: 0, y: -150 });
+  });
+
+  test('drops frames computed before a resync', () => {
+    const tree = buildTree();
+    const [, child] = tree.nodes;
+    const runner = createPhysicsRunner();
+    step(runner, tree);
+
+    child.position = { x: 80, y: -80 };
+    runner.resync(tree.nodes, tree.links);
+    worker.onmessage({ data: { type: 'frame', version: 1, buffer: new Float64Array([0, 0, 1, 12, -140, 1]) } });
+    step(runner, tree);
+
+    expect(worker.messages.find((message) => message.type === 'positions')).toMatchObject({ version: 2 });
+    expect(child.position).toEqual({ x: 80, y: -80 });
+  });
+
+  test('leaves pinned nodes where the main thread put them', () => {
+    const tree = buildTree();
+    const [, child] = tree.nodes;
+    const runner = createPhysicsRunner();
+    step(runner, tree);
+
+    child.position = { x: 40, y: -100 };
+    runner.pin(child, true);
+    worker.onmessage({ data: { type: 'frame', version: 1, buffer: new Float64Array([0, 0, 1, 12, -140, 1]) } });
+    step(runner, tree);
+
+    expect(worker.messages.find((message) => message.type === 'pin')).toEqual({
+      type: 'pin',
+      key: child.instanceId,
+      pinned: true,
+      x: 40,
+      y: -100,
+    });
+    expect(child.position).toEqual({ x: 40, y: -100 });
+  });
+
+  test('falls back to the main thread when the worker fails', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const tree = buildTree();
+    const runner = createPhysicsRunner();
+    step(runner, tree);
+
+    const event = { message: 'boom', preventDefault: jest.fn() };
+    worker.onerror(event);
+    step(runner, tree);
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(runner.usesWorker).toBe(false);
+    expect(tree.nodes[1].position.x).toBe(2);
+  });
+});
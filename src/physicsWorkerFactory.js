@@ -0,0 +1,9 @@
+// Creates the physics Web Worker, or returns null where workers are
+// unavailable. Kept out of physicsRunner.js so tests can mock it: Jest can't
+// parse the import.meta URL that webpack bundles the worker from.
+export const createPhysicsWorker = () => {
+  if (typeof Worker === "undefined") return null;
+  return new Worker(new URL("./physics.worker.js", import.meta.url));
+};
+
+export default createPhysicsWorker;
@@ -0,0 +1,201 @@
+// Persistent cache for backend responses (search results and similar-object
+// lists), so revisited objects don't wait for the slow-to-wake backend and
+// survive a reload.
+//
+// Every storage adapter implements the same async interface:
+//   get(key)    -> entry or null
+//   put(entry)  -> undefined (insert or replace)
+//   delete(key) -> undefined
+//   list()      -> [entry]
+//   count()     -> number of entries
+//   clear()     -> undefined
+// An entry is { key, value, storedAt, lastUsedAt } with times in ms.
+
+// Cache configuration defaults
+export const CACHE_CONFIG = {
+  TTL_MS: 24 * 60 * 60 * 1000, // Responses older than a day are fetched again
+  MAX_ENTRIES: 500, // Least recently used entries are evicted beyond this
+  EVICTION_HEADROOM: 50, // Extra entries evicted at once, so the full scan runs rarely
+  DB_NAME: "dataconnections-cache",
+  STORE_NAME: "responses",
+};
+
+export const createMemoryCacheStorage = () => {
+  const entries = new Map();
+  return {
+    get: async (key) => entries.get(key) || null,
+    put: async (entry) => {
+      entries.set(entry.key, entry);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    list: async () => [...entries.values()],
+    count: async () => entries.size,
+    clear: async () => {
+      entries.clear();
+    },
+  };
+};
+
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const createIndexedDbCacheStorage = ({
+  indexedDB = window.indexedDB,
+  dbName = CACHE_CONFIG.DB_NAME,
+  storeName = CACHE_CONFIG.STORE_NAME,
+} = {}) => {
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: "key" });
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  };
+
+  // Run one request in its own transaction
+  const run = async (mode, operation) => {
+    const db = await open();
+    return promisifyRequest(operation(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+
+  return {
+    get: async (key) => (await run("readonly", (store) => store.get(key))) || null,
+    put: async (entry) => {
+      await run("readwrite", (store) => store.put(entry));
+    },
+    delete: async (key) => {
+      await run("readwrite", (store) => store.delete(key));
+    },
+    list: () => run("readonly", (store) => store.getAll()),
+    count: () => run("readonly", (store) => store.count()),
+    clear: async () => {
+      await run("readwrite", (store) => store.clear());
+    },
+  };
+};
+
+// IndexedDB where the browser allows it (it is missing or refused in some
+// private modes), otherwise an in-memory cache for the session
+export const createDefaultCacheStorage = (indexedDB = window.indexedDB) => {
+  const memory = createMemoryCacheStorage();
+  if (!indexedDB) return memory;
+
+  const persistent = createIndexedDbCacheStorage({ indexedDB });
+  let usePersistent = true;
+  const withFallback = (method) => async (...args) => {
+    if (usePersistent) {
+      try {
+        return await persistent[method](...args);
+      } catch (err) {
+        console.error("IndexedDB is unavailable, caching responses in memory", err);
+        usePersistent = false;
+      }
+    }
+    return memory[method](...args);
+  };
+
+  return {
+    get: withFallback("get"),
+    put: withFallback("put"),
+    delete: withFallback("delete"),
+    list: withFallback("list"),
+    count: withFallback("count"),
+    clear: withFallback("clear"),
+  };
+};
+
+// TTL and LRU on top of a storage adapter. A failing cache never fails a
+// request: errors are logged and treated as misses. Expired entries are
+// dropped when read; the full eviction scan only runs once the cache holds
+// more than maxEntries, and then makes room for `headroom` more writes.
+export const createResponseCache = ({
+  storage = createDefaultCacheStorage(),
+  ttlMs = CACHE_CONFIG.TTL_MS,
+  maxEntries = CACHE_CONFIG.MAX_ENTRIES,
+  headroom = CACHE_CONFIG.EVICTION_HEADROOM,
+  now = Date.now,
+} = {}) => {
+  const safely = async (operation, fallback) => {
+    try {
+      return await operation();
+    } catch (err) {
+      console.error("Response cache failed", err);
+      return fallback;
+    }
+  };
+
+  const isExpired = (entry) => now() - entry.storedAt > ttlMs;
+
+  // Drop expired entries, then the least recently used beyond the limit
+  // (less the headroom)
+  const evict = async () => {
+    const entries = await storage.list();
+    const expired = entries.filter(isExpired);
+    const live = entries
+      .filter((entry) => !isExpired(entry))
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    const keep = Math.max(0, maxEntries - headroom);
+    const evicted = [...expired, ...live.slice(0, Math.max(0, live.length - keep))];
+    await Promise.all(evicted.map((entry) => storage.delete(entry.key)));
+  };
+
+  return {
+    // { value, storedAt } for a fresh entry, or null
+    get: (key) =>
+      safely(async () => {
+        const entry = await storage.get(key);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+          await storage.delete(key);
+          return null;
+        }
+        await storage.put({ ...entry, lastUsedAt: now() });
+        return { value: entry.value, storedAt: entry.storedAt };
+      }, null),
+
+    set: (key, value) =>
+      safely(async () => {
+        const time = now();
+        await storage.put({ key, value, storedAt: time, lastUsedAt: time });
+        if ((await storage.count()) > maxEntries) await evict();
+      }),
+
+    clear: () => safely(() => storage.clear()),
+  };
+};
+
+// Museum API client (see museumApi.js) whose lookups go through the cache,
+// keyed by backend, then query or object id, so the mock and live backends
+// (or two deployments) never serve each other's responses. cacheInfo(records)
+// tells whether a returned list came from the cache and when it was stored.
+export const withResponseCache = (api, cache, { namespace = api.backendName || "" } = {}) => {
+  const sources = new WeakMap();
+
+  const cached = (prefix, fetchRecords) => async (arg) => {
+    const key = `${namespace} ${prefix}:${String(arg).trim()}`;
+    const hit = await cache.get(key);
+    if (hit && Array.isArray(hit.value)) {
+      const records = [...hit.value];
+      sources.set(records, { fromCache: true, storedAt: hit.storedAt });
+      return records;
+    }
+    const records = await fetchRecords(arg);
+    await cache.set(key, records);
+    return records;
+  };
+
+  return {
+    ...api,
+    searchObjects: cached("search", api.searchObjects),
+    fetchSimilarObjects: cached("similar", api.fetchSimilarObjects),
+    cacheInfo: (records) => sources.get(records) || { fromCache: false, storedAt: null },
+    clearCache: () => cache.clear(),
+  };
+};
@@ -0,0 +1,154 @@
+import {
+  createMemoryCacheStorage,
+  createDefaultCacheStorage,
+  createResponseCache,
+  withResponseCache,
+} from './responseCache';
+
+const createClock = (start = 1000) => {
+  let time = start;
+  const now = () => time;
+  now.advance = (ms) => {
+    time += ms;
+  };
+  return now;
+};
+
+test('returns stored values until they expire', async () => {
+  const now = createClock();
+  const storage = createMemoryCacheStorage();
+  const cache = createResponseCache({ storage, ttlMs: 100, now });
+
+  await cache.set('similar:1', [{ id: 2 }]);
+  now.advance(50);
+  expect(await cache.get('similar:1')).toEqual({ value: [{ id: 2 }], storedAt: 1000 });
+
+  now.advance(51);
+  expect(await cache.get('similar:1')).toBeNull();
+  expect(await storage.get('similar:1')).toBeNull();
+});
+
+test('evicts the least recently used entries beyond the limit', async () => {
+  const now = createClock();
+  const cache = createResponseCache({ storage: createMemoryCacheStorage(), maxEntries: 2, headroom: 0, now });
+
+  await cache.set('a', 1);
+  now.advance(1);
+  await cache.set('b', 2);
+  now.advance(1);
+  await cache.get('a'); // 'b' is now the least recently used
+  now.advance(1);
+  await cache.set('c', 3);
+
+  expect(await cache.get('a')).not.toBeNull();
+  expect(await cache.get('b')).toBeNull();
+  expect(await cache.get('c')).not.toBeNull();
+});
+
+test('scans for evictions only past the limit, then leaves headroom', async () => {
+  const now = createClock();
+  const storage = createMemoryCacheStorage();
+  const list = jest.spyOn(storage, 'list');
+  const cache = createResponseCache({ storage, maxEntries: 3, headroom: 2, now });
+
+  for (const key of ['a', 'b', 'c']) {
+    await cache.set(key, key);
+    now.advance(1);
+  }
+  expect(list).not.toHaveBeenCalled();
+
+  await cache.set('d', 'd');
+  expect(list).toHaveBeenCalledTimes(1);
+  expect((await storage.list()).map((entry) => entry.key)).toEqual(['d']);
+});
+
+test('clear forgets everything', async () => {
+  const cache = createResponseCache({ storage: createMemoryCacheStorage() });
+  await cache.set('a', 1);
+  await cache.clear();
+  expect(await cache.get('a')).toBeNull();
+});
+
+test('storage failures are treated as misses', async () => {
+  const broken = createMemoryCacheStorage();
+  broken.get = async () => {
+    throw new Error('disk on fire');
+  };
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const cache = createResponseCache({ storage: broken });
+
+  expect(await cache.get('a')).toBeNull();
+  error.mockRestore();
+});
+
+test('falls back to memory when IndexedDB cannot be opened', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const storage = createDefaultCacheStorage({
+    open: () => {
+      throw new Error('denied');
+    },
+  });
+
+  await storage.put({ key: 'a', value: 1, storedAt: 0, lastUsedAt: 0 });
+  expect(await storage.get('a')).toEqual({ key: 'a', value: 1, storedAt: 0, lastUsedAt: 0 });
+  expect(error).toHaveBeenCalled();
+  error.mockRestore();
+});
+
+test('withResponseCache serves repeated lookups from the cache and says so', async () => {
+  const api = {
+    searchObjects: jest.fn(async (query) => [{ id: 1, text_for_embedding: query }]),
+    fetchSimilarObjects: jest.fn(async (id) => [{ id: id + 1 }]),
+  };
+  const now = createClock();
+  const cached = withResponseCache(
+    api,
+    createResponseCache({ storage: createMemoryCacheStorage(), now })
+  );
+
+  const first = await cached.fetchSimilarObjects(1);
+  expect(cached.cacheInfo(first)).toEqual({ fromCache: false, storedAt: null });
+
+  now.advance(10);
+  const second = await cached.fetchSimilarObjects(1);
+  expect(second).toEqual([{ id: 2 }]);
+  expect(cached.cacheInfo(second)).toEqual({ fromCache: true, storedAt: 1000 });
+  expect(api.fetchSimilarObjects).toHaveBeenCalledTimes(1);
+
+  await cached.searchObjects('jade ');
+  await cached.searchObjects('jade');
+  expect(api.searchObjects).toHaveBeenCalledTimes(1);
+
+  await cached.clearCache();
+  await cached.fetchSimilarObjects(1);
+  expect(api.fetchSimilarObjects).toHaveBeenCalledTimes(2);
+});
+
+test('withResponseCache keeps the responses of different backends apart', async () => {
+  const cache = createResponseCache({ storage: createMemoryCacheStorage() });
+  const backend = (backendName, id) => ({
+    backendName,
+    searchObjects: jest.fn(async () => [{ id }]),
+    fetchSimilarObjects: jest.fn(),
+  });
+  const mock = withResponseCache(backend('mock', 1), cache);
+  const live = withResponseCache(backend('https://museum.example/api', 2), cache);
+
+  expect(await mock.searchObjects('jade')).toEqual([{ id: 1 }]);
+  expect(await live.searchObjects('jade')).toEqual([{ id: 2 }]);
+});
+
+test('failed requests are not cached', async () => {
+  const api = {
+    searchObjects: jest.fn(),
+    fetchSimilarObjects: jest
+      .fn()
+      .mockRejectedValueOnce(new Error('asleep'))
+      .mockResolvedValueOnce([{ id: 2 }]),
+  };
+  const cached = withResponseCache(api, createResponseCache({ storage: createMemoryCacheStorage() }));
+
+  await expect(cached.fetchSimilarObjects(1)).rejects.toThrow('asleep');
+  expect(await cached.fetchSimilarObjects(1)).toEqual([{ id: 2 }]);
+  expect(api.fetchSimilarObjects).toHaveBeenCalledTimes(2);
+});
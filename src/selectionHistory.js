@@ -0,0 +1,36 @@
+// Back/forward stack of selected objects. The stack is immutable; App keeps
+// it in state and mirrors every push in window.history, tagging each browser
+// entry with { session, selection } so a popstate can be mapped back onto it.
+
+export const createSelectionStack = (session) => ({ session, entries: [], index: -1 });
+
+export const currentSelection = (stack) => stack.entries[stack.index] || null;
+
+export const canGoBack = (stack) => stack.index > 0;
+
+export const canGoForward = (stack) => stack.index < stack.entries.length - 1;
+
+// Select an object: drops any forward entries, like a browser does. Selecting
+// the current object again returns the same stack.
+export const pushSelection = (stack, entry) => {
+  const current = currentSelection(stack);
+  if (current && String(current.id) === String(entry.id)) return stack;
+  return {
+    ...stack,
+    entries: [...stack.entries.slice(0, stack.index + 1), entry],
+    index: stack.index + 1,
+  };
+};
+
+// Jump to an existing entry (after browser back/forward); out-of-range
+// indexes return the same stack
+export const moveSelectionTo = (stack, index) => {
+  if (index < 0 || index >= stack.entries.length || index === stack.index) return stack;
+  return { ...stack, index };
+};
+
+// History state to store with the browser entry for the current selection
+export const selectionHistoryState = (stack) => ({
+  session: stack.session,
+  selection: stack.index,
+});
@@ -0,0 +1,50 @@
+import {
+  createSelectionStack,
+  currentSelection,
+  canGoBack,
+  canGoForward,
+  pushSelection,
+  moveSelectionTo,
+  selectionHistoryState,
+} from './selectionHistory';
+
+const entry = (id) => ({ id, description: `Object ${id}`, image: null });
+
+test('pushSelection appends and moves to the new entry', () => {
+  let stack = createSelectionStack(7);
+  expect(currentSelection(stack)).toBeNull();
+  expect(canGoBack(stack)).toBe(false);
+
+  stack = pushSelection(stack, entry('A'));
+  stack = pushSelection(stack, entry('B'));
+  expect(currentSelection(stack)).toEqual(entry('B'));
+  expect(canGoBack(stack)).toBe(true);
+  expect(canGoForward(stack)).toBe(false);
+  expect(selectionHistoryState(stack)).toEqual({ session: 7, selection: 1 });
+});
+
+test('selecting the current object again does not add an entry', () => {
+  const stack = pushSelection(createSelectionStack(1), entry(5));
+  expect(pushSelection(stack, entry('5'))).toBe(stack);
+});
+
+test('moving back and then selecting drops the forward entries', () => {
+  let stack = createSelectionStack(1);
+  ['A', 'B', 'C'].forEach((id) => {
+    stack = pushSelection(stack, entry(id));
+  });
+
+  stack = moveSelectionTo(stack, 0);
+  expect(currentSelection(stack)).toEqual(entry('A'));
+  expect(canGoForward(stack)).toBe(true);
+
+  stack = pushSelection(stack, entry('D'));
+  expect(stack.entries.map((e) => e.id)).toEqual(['A', 'D']);
+  expect(canGoForward(stack)).toBe(false);
+});
+
+test('moveSelectionTo ignores indexes outside the stack', () => {
+  const stack = pushSelection(createSelectionStack(1), entry('A'));
+  expect(moveSelectionTo(stack, 3)).toBe(stack);
+  expect(moveSelectionTo(stack, -1)).toBe(stack);
+});
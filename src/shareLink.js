@@ -0,0 +1,77 @@
+// Compact, URL-safe encoding of an exploration for /tree/:state deep links.
+// Only what is needed to replay the fetches is stored: the root search, the
+// chosen root object, the expanded object ids in order and the active object.
+
+export const SHARE_LINK_VERSION = 1;
+
+export class ShareLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShareLinkError";
+  }
+}
+
+// UTF-8 safe base64url, built on the percent-encoding of encodeURIComponent
+const toBase64Url = (text) => {
+  const binary = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return decodeURIComponent(
+    Array.from(binary, (char) => `%${char.charCodeAt(0).toString(16).padStart(2, "0")}`).join("")
+  );
+};
+
+const isId = (value) => typeof value === "string" || Number.isInteger(value);
+
+// { query, rootId, expandedIds, activeId } -> URL path segment
+export const encodeExplorationState = ({ query, rootId, expandedIds = [], activeId = null }) =>
+  toBase64Url(
+    JSON.stringify({
+      v: SHARE_LINK_VERSION,
+      q: query,
+      r: rootId,
+      e: expandedIds,
+      ...(activeId !== null && activeId !== rootId && { a: activeId }),
+    })
+  );
+
+// URL path segment -> { query, rootId, expandedIds, activeId }; throws ShareLinkError
+export const decodeExplorationState = (encoded) => {
+  let state;
+  try {
+    state = JSON.parse(fromBase64Url(encoded));
+  } catch (err) {
+    throw new ShareLinkError("This link is damaged or incomplete.");
+  }
+
+  if (
+    !state ||
+    state.v !== SHARE_LINK_VERSION ||
+    typeof state.q !== "string" ||
+    !isId(state.r) ||
+    !Array.isArray(state.e) ||
+    !state.e.every(isId) ||
+    (state.a !== undefined && !isId(state.a))
+  ) {
+    throw new ShareLinkError("This link is not a valid exploration link.");
+  }
+
+  return {
+    query: state.q,
+    rootId: state.r,
+    expandedIds: state.e,
+    activeId: state.a ?? state.r,
+  };
+};
+
+// Steps that rebuild a decoded exploration once its root object is shown:
+// expand each recorded object in order, then select the active one again
+export const createReplaySteps = ({ expandedIds, activeId }) => [
+  ...expandedIds.map((id) => ({ type: "expand", id })),
+  { type: "select", id: activeId },
+];
@@ -0,0 +1,32 @@
+import {
+  encodeExplorationState,
+  decodeExplorationState,
+  createReplaySteps,
+  ShareLinkError,
+} from './shareLink';
+
+test('round-trips the replay plan through a URL-safe string', () => {
+  const plan = { query: 'a calm évening 静', rootId: 'R-1', expandedIds: ['A/2', 17], activeId: 17 };
+  const encoded = encodeExplorationState(plan);
+
+  expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(decodeExplorationState(encoded)).toEqual(plan);
+});
+
+test('defaults the active object to the root', () => {
+  const encoded = encodeExplorationState({ query: 'jade', rootId: 'R', expandedIds: [] });
+  expect(decodeExplorationState(encoded).activeId).toBe('R');
+});
+
+test('rejects damaged or foreign links', () => {
+  expect(() => decodeExplorationState('%%%')).toThrow(ShareLinkError);
+  expect(() => decodeExplorationState(btoa(JSON.stringify({ v: 1, q: 'jade' })))).toThrow(ShareLinkError);
+});
+
+test('replays the expansions in order and ends on the active object', () => {
+  expect(createReplaySteps({ expandedIds: ['A', 7], activeId: 'R' })).toEqual([
+    { type: 'expand', id: 'A' },
+    { type: 'expand', id: 7 },
+    { type: 'select', id: 'R' },
+  ]);
+});
@@ -0,0 +1,50 @@
+// Visual encoding of link similarity scores, and filtering of weak links
+import * as d3 from "d3";
+
+// Stroke width and colour for similarity scores, clamped to the domain.
+// Options mirror the SIMILARITY_* / EDGE_* keys of TREE_CONFIG.
+export const createSimilarityScale = ({ domain, widthRange, colorRange }) => {
+  const width = d3.scaleLinear().domain(domain).range(widthRange).clamp(true);
+  const color = d3
+    .scaleLinear()
+    .domain(domain)
+    .range(colorRange)
+    .interpolate(d3.interpolateRgb)
+    .clamp(true);
+
+  return {
+    domain,
+    width: (score) => width(score ?? 0),
+    color: (score) => color(score ?? 0),
+    ticks: (count = 5) => width.ticks(count),
+  };
+};
+
+// Links below the threshold are hidden; with hideSubtrees the nodes beneath a
+// hidden tree link (and all their links) are hidden too. A weak cross-link
+// only hides itself, since its target hangs from another branch.
+export const filterBySimilarity = (links, threshold, hideSubtrees) => {
+  const hiddenLinks = new Set();
+  const hiddenNodes = new Set();
+  if (threshold <= 0) return { hiddenLinks, hiddenNodes };
+
+  links.forEach((link) => {
+    if ((link.similarityScore || 0) < threshold) hiddenLinks.add(link);
+  });
+
+  if (hideSubtrees) {
+    const hideBelow = (node) => {
+      if (hiddenNodes.has(node)) return;
+      hiddenNodes.add(node);
+      node.childNodes.forEach(hideBelow);
+    };
+    hiddenLinks.forEach((link) => {
+      if (!link.crossLink) hideBelow(link.target);
+    });
+    links.forEach((link) => {
+      if (hiddenNodes.has(link.source) || hiddenNodes.has(link.target)) hiddenLinks.add(link);
+    });
+  }
+
+  return { hiddenLinks, hiddenNodes };
+};
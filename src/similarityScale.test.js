@@ -0,0 +1,86 @@
+import { Node } from './Node';
+import { createSimilarityScale, filterBySimilarity } from './similarityScale';
+
+describe('createSimilarityScale', () => {
+  const scale = createSimilarityScale({
+    domain: [0.2, 0.8],
+    widthRange: [1, 6],
+    colorRange: ['#ff0000', '#0000ff'],
+  });
+
+  test('maps the ends of the domain to the ends of the ranges', () => {
+    expect(scale.width(0.2)).toBe(1);
+    expect(scale.width(0.8)).toBe(6);
+    expect(scale.color(0.2)).toBe('rgb(255, 0, 0)');
+    expect(scale.color(0.8)).toBe('rgb(0, 0, 255)');
+  });
+
+  test('clamps scores outside the domain and treats missing ones as 0', () => {
+    expect(scale.width(1)).toBe(6);
+    expect(scale.color(1)).toBe('rgb(0, 0, 255)');
+    expect(scale.width(undefined)).toBe(1);
+    expect(scale.color(null)).toBe('rgb(255, 0, 0)');
+  });
+
+  test('interpolates between the ends', () => {
+    expect(scale.width(0.5)).toBeCloseTo(3.5);
+    expect(scale.color(0.5)).toMatch(/^rgb\(12[78], 0, 12[78]\)$/);
+  });
+});
+
+describe('filterBySimilarity', () => {
+  // root -> a (0.9) -> c (0.8), root -> b (0.3) -> d (0.9), cross-link c -> d (0.7)
+  const buildTree = () => {
+    const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'root');
+    const a = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'a', null, root);
+    const b = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'b', null, root);
+    const c = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'c', null, a);
+    const d = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'd', null, b);
+    root.childNodes.push(a, b);
+    a.childNodes.push(c);
+    b.childNodes.push(d);
+    const links = {
+      rootA: { source: root, target: a, similarityScore: 0.9 },
+      rootB: { source: root, target: b, similarityScore: 0.3 },
+      aC: { source: a, target: c, similarityScore: 0.8 },
+      bD: { source: b, target: d, similarityScore: 0.9 },
+      cross: { source: c, target: d, similarityScore: 0.7, crossLink: true },
+    };
+    return { nodes: { root, a, b, c, d }, links };
+  };
+
+  test('hides nothing at a threshold of 0', () => {
+    const { links } = buildTree();
+    const { hiddenLinks, hiddenNodes } = filterBySimilarity(Object.values(links), 0, true);
+
+    expect(hiddenLinks.size).toBe(0);
+    expect(hiddenNodes.size).toBe(0);
+  });
+
+  test('hides only the links below the threshold', () => {
+    const { links } = buildTree();
+    const { hiddenLinks, hiddenNodes } = filterBySimilarity(Object.values(links), 0.75, false);
+
+    expect(hiddenLinks).toEqual(new Set([links.rootB, links.cross]));
+    expect(hiddenNodes.size).toBe(0);
+  });
+
+  test('hides the subtree under a weak tree link, and the links touching it', () => {
+    const { nodes, links } = buildTree();
+    const { hiddenLinks, hiddenNodes } = filterBySimilarity(Object.values(links), 0.5, true);
+
+    // d's own link is strong, but it hangs below b
+    expect(hiddenNodes).toEqual(new Set([nodes.b, nodes.d]));
+    // The cross-link clears the threshold but ends at a hidden node
+    expect(hiddenLinks).toEqual(new Set([links.rootB, links.bD, links.cross]));
+  });
+
+  test('a weak cross-link hides only itself', () => {
+    const { links } = buildTree();
+    const { hiddenLinks, hiddenNodes } = filterBySimilarity(Object.values(links), 0.75, true);
+
+    expect(hiddenNodes.size).toBe(2); // b and d, below the weak tree link
+    expect(hiddenLinks.has(links.cross)).toBe(true);
+    expect(hiddenLinks.has(links.aC)).toBe(false);
+  });
+});
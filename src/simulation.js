@@ -0,0 +1,121 @@
+// Deterministic, headless stepping of the TreeGraph physics. Wind is derived
+// from a seed and the simulated time instead of the wall clock, and every step
+// advances by a fixed dt, so the same seed and starting nodes always end in the
+// same positions.
+import { updatePhysics, PHYSICS_CONFIG } from "./physics.js";
+
+export const SIMULATION_CONFIG = {
+  DT: 1, // Timestep in frames
+  FRAME_MS: 1000 / 60, // Simulated milliseconds per frame, drives the wind
+  MAX_STEPS: 5000, // Give up on runUntilRest after this many steps
+  REST_STEPS: 10, // Consecutive resting steps before the tree counts as at rest
+  DEFAULT_SEED: 1,
+};
+
+// Sinusoids summed into the horizontal wind: [period (ms), amplitude]
+const WIND_CONFIG = {
+  COMPONENTS: [
+    [5000, 0.00065],
+    [10000, 0.00005],
+    [500, 0.0006],
+    [5, 0.00005],
+    [5, 0.00002],
+  ],
+  BASE: 0.12, // Constant upward push
+};
+
+// Small seeded PRNG (mulberry32); returns floats in [0, 1)
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Wind force at a simulated time; phases come from the seed. Returns [x, y]
+// in the form updatePhysics expects, or no wind at all when disabled.
+export const createWind = ({ seed = SIMULATION_CONFIG.DEFAULT_SEED, enabled = true } = {}) => {
+  const random = createRandom(seed);
+  const phases = WIND_CONFIG.COMPONENTS.map(() => random() * 2 * Math.PI);
+
+  return (timeMs) => {
+    if (!enabled) return [0, 0];
+    const x = WIND_CONFIG.COMPONENTS.reduce(
+      (sum, [period, amplitude], i) => sum + Math.sin(timeMs / period + phases[i]) * amplitude,
+      0
+    );
+    return [x, WIND_CONFIG.BASE];
+  };
+};
+
+// Simulation over a set of nodes and links. `stepPhysics` defaults to the
+// in-thread updatePhysics; TreeGraph passes its physics runner instead.
+export const createSimulation = ({
+  nodes,
+  links,
+  seed = SIMULATION_CONFIG.DEFAULT_SEED,
+  dt = SIMULATION_CONFIG.DT,
+  wind = true,
+  config = PHYSICS_CONFIG,
+  stepPhysics = updatePhysics,
+}) => {
+  let windAt = createWind({ seed, enabled: wind });
+  let physicsConfig = config;
+  let stepCount = 0;
+  let restingSteps = 0;
+
+  const getNodes = typeof nodes === "function" ? nodes : () => nodes;
+  const getLinks = typeof links === "function" ? links : () => links;
+
+  const isAtRest = (currentNodes) =>
+    currentNodes.every((node) => node.parentNode === null || node.resting);
+
+  const simulation = {
+    get stepCount() {
+      return stepCount;
+    },
+    get time() {
+      return stepCount * dt * SIMULATION_CONFIG.FRAME_MS;
+    },
+
+    // Advance one fixed step; returns the wind force that was applied
+    step: () => {
+      const windForce = windAt(simulation.time);
+      const currentNodes = getNodes();
+      stepPhysics(currentNodes, getLinks(), windForce, dt, physicsConfig);
+      stepCount++;
+      restingSteps = isAtRest(currentNodes) ? restingSteps + 1 : 0;
+      return windForce;
+    },
+
+    runSteps: (count) => {
+      for (let i = 0; i < count; i++) simulation.step();
+      return simulation;
+    },
+
+    // Step until every node has been resting for REST_STEPS steps in a row;
+    // returns whether that happened within maxSteps
+    runUntilRest: ({ maxSteps = SIMULATION_CONFIG.MAX_STEPS } = {}) => {
+      restingSteps = 0;
+      for (let i = 0; i < maxSteps; i++) {
+        simulation.step();
+        if (restingSteps >= SIMULATION_CONFIG.REST_STEPS) return true;
+      }
+      return false;
+    },
+
+    setWindEnabled: (enabled) => {
+      windAt = createWind({ seed, enabled });
+    },
+
+    // Takes effect from the next step
+    setConfig: (nextConfig) => {
+      physicsConfig = nextConfig;
+    },
+  };
+  return simulation;
+};
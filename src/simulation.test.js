@@ -0,0 +1,99 @@
+import { Node } from './Node';
+import { createRandom, createSimulation, createWind } from './simulation';
+
+// Root with three children and two grandchildren each, starting bunched up so
+// collisions and springs both have work to do
+const buildTree = () => {
+  const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'root');
+  const nodes = [root];
+  const links = [];
+  const attach = (parent, x, y, label) => {
+    const node = new Node({ x, y }, { x: 0, y: 0 }, label, null, parent);
+    parent.childNodes.push(node);
+    nodes.push(node);
+    links.push({ source: parent, target: node });
+    return node;
+  };
+  [-20, 0, 20].forEach((x, i) => {
+    const child = attach(root, x, -40, `child ${i}`);
+    attach(child, x - 10, -80, `grandchild ${i}a`);
+    attach(child, x + 10, -80, `grandchild ${i}b`);
+  });
+  return { nodes, links };
+};
+
+const positionsOf = (nodes) => nodes.map(({ position }) => [position.x, position.y]);
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const c = createRandom(8);
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect([c(), c(), c()]).not.toEqual(first);
+    first.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('createWind', () => {
+  test('depends only on seed and time', () => {
+    expect(createWind({ seed: 3 })(1234)).toEqual(createWind({ seed: 3 })(1234));
+    expect(createWind({ seed: 3 })(1234)).not.toEqual(createWind({ seed: 4 })(1234));
+  });
+
+  test('can be turned off', () => {
+    expect(createWind({ enabled: false })(1234)).toEqual([0, 0]);
+  });
+});
+
+describe('createSimulation', () => {
+  test('runSteps gives the same positions for the same seed', () => {
+    const a = buildTree();
+    const b = buildTree();
+    createSimulation({ ...a, seed: 42 }).runSteps(300);
+    createSimulation({ ...b, seed: 42 }).runSteps(300);
+    expect(positionsOf(a.nodes)).toEqual(positionsOf(b.nodes));
+  });
+
+  test('different seeds blow the tree differently', () => {
+    const a = buildTree();
+    const b = buildTree();
+    createSimulation({ ...a, seed: 1 }).runSteps(300);
+    createSimulation({ ...b, seed: 2 }).runSteps(300);
+    expect(positionsOf(a.nodes)).not.toEqual(positionsOf(b.nodes));
+  });
+
+  test('runUntilRest settles deterministically', () => {
+    const a = buildTree();
+    const b = buildTree();
+    const simA = createSimulation({ ...a, seed: 9 });
+    const simB = createSimulation({ ...b, seed: 9 });
+    expect(simA.runUntilRest()).toBe(true);
+    expect(simB.runUntilRest()).toBe(true);
+    expect(simA.stepCount).toBe(simB.stepCount);
+    expect(positionsOf(a.nodes)).toEqual(positionsOf(b.nodes));
+    a.nodes.slice(1).forEach((node) => expect(node.resting).toBe(true));
+  });
+
+  test('without wind the result does not depend on the seed', () => {
+    const a = buildTree();
+    const b = buildTree();
+    createSimulation({ ...a, seed: 1, wind: false }).runUntilRest();
+    createSimulation({ ...b, seed: 2, wind: false }).runUntilRest();
+    expect(positionsOf(a.nodes)).toEqual(positionsOf(b.nodes));
+  });
+
+  test('uses a fixed timestep', () => {
+    const { nodes, links } = buildTree();
+    const stepPhysics = jest.fn();
+    const simulation = createSimulation({ nodes, links, dt: 0.5, stepPhysics });
+    simulation.runSteps(4);
+    expect(stepPhysics).toHaveBeenCalledTimes(4);
+    stepPhysics.mock.calls.forEach((call) => expect(call[3]).toBe(0.5));
+    expect(simulation.time).toBeCloseTo((4 * 0.5 * 1000) / 60);
+  });
+});
@@ -0,0 +1,66 @@
+// Collapse, expand and prune operations on TreeGraph subtrees, plus the
+// matching clean-up of App state after a prune
+
+// A node followed by all of its descendants, depth-first
+export const collectSubtree = (node) => {
+  const nodes = [];
+  const visit = (current) => {
+    nodes.push(current);
+    current.childNodes.forEach(visit);
+  };
+  visit(node);
+  return nodes;
+};
+
+export const countDescendants = (node) => collectSubtree(node).length - 1;
+
+// Nodes hidden because an ancestor is collapsed (the collapsed nodes
+// themselves stay visible and show a badge)
+export const findCollapsedHidden = (nodes) => {
+  const hidden = new Set();
+  nodes.forEach((node) => {
+    if (!node.collapsed || hidden.has(node)) return;
+    collectSubtree(node)
+      .slice(1)
+      .forEach((descendant) => hidden.add(descendant));
+  });
+  return hidden;
+};
+
+// Remove a node and its descendants from the tree. Detaches the node from its
+// parent and returns the remaining nodes and links plus the removed nodes.
+export const pruneSubtree = (node, nodes, links) => {
+  if (!node.parentNode) throw new Error("The root of the tree cannot be pruned");
+
+  const removed = collectSubtree(node);
+  const removedSet = new Set(removed);
+  const siblings = node.parentNode.childNodes;
+  siblings.splice(siblings.indexOf(node), 1);
+
+  return {
+    nodes: nodes.filter((n) => !removedSet.has(n)),
+    links: links.filter((link) => !removedSet.has(link.source) && !removedSet.has(link.target)),
+    removed,
+  };
+};
+
+// Forget pruned objects in App state: their history entries, the similar
+// objects fetched for them, the searched flags, and their appearances in other
+// objects' similar lists (so the tree doesn't immediately re-add them, while a
+// later /similar-objects response may suggest them again)
+export const pruneExplorationState = ({ searchHistory, similarRecords, searchedNodes }, ids) => {
+  const pruned = new Set(ids.filter((id) => id != null).map(String));
+  const isPruned = (record) => pruned.has(String(record.id));
+
+  const nextSimilarRecords = {};
+  Object.entries(similarRecords).forEach(([id, records]) => {
+    if (pruned.has(String(id))) return;
+    nextSimilarRecords[id] = records.filter((record) => !isPruned(record));
+  });
+
+  return {
+    searchHistory: searchHistory.filter((record) => !isPruned(record)),
+    similarRecords: nextSimilarRecords,
+    searchedNodes: new Set([...searchedNodes].filter((id) => !pruned.has(String(id)))),
+  };
+};
@@ -0,0 +1,80 @@
+import { Node } from './Node';
+import {
+  collectSubtree,
+  countDescendants,
+  findCollapsedHidden,
+  pruneSubtree,
+  pruneExplorationState,
+} from './subtreeActions';
+
+// root -> (a, b), a -> (c, d), c -> (e)
+const buildTree = () => {
+  const make = (id, parent = null) => {
+    const node = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, `Object ${id}`, null, parent, id);
+    if (parent) parent.childNodes.push(node);
+    return node;
+  };
+  const root = make('R');
+  const a = make('A', root);
+  const b = make('B', root);
+  const c = make('C', a);
+  const d = make('D', a);
+  const e = make('E', c);
+  const nodes = [root, a, b, c, d, e];
+  const links = nodes
+    .filter((node) => node.parentNode)
+    .map((node) => ({ source: node.parentNode, target: node }));
+  links.push({ source: b, target: e, crossLink: true });
+  return { root, a, b, c, d, e, nodes, links };
+};
+
+test('collectSubtree and countDescendants walk the whole subtree', () => {
+  const { root, a, c, d, e } = buildTree();
+  expect(collectSubtree(a)).toEqual([a, c, e, d]);
+  expect(countDescendants(a)).toBe(3);
+  expect(countDescendants(root)).toBe(5);
+  expect(countDescendants(e)).toBe(0);
+});
+
+test('findCollapsedHidden hides descendants but not the collapsed node', () => {
+  const { a, c, d, e, nodes } = buildTree();
+  c.collapsed = true;
+  expect([...findCollapsedHidden(nodes)]).toEqual([e]);
+
+  a.collapsed = true;
+  expect(new Set(findCollapsedHidden(nodes))).toEqual(new Set([c, d, e]));
+});
+
+test('pruneSubtree removes the subtree, its links and cross-links into it', () => {
+  const { root, a, b, nodes, links } = buildTree();
+  const result = pruneSubtree(a, nodes, links);
+
+  expect(result.removed.map((node) => node.id)).toEqual(['A', 'C', 'E', 'D']);
+  expect(result.nodes).toEqual([root, b]);
+  expect(result.links).toEqual([{ source: root, target: b }]);
+  expect(root.childNodes).toEqual([b]);
+});
+
+test('pruneSubtree refuses to prune the root', () => {
+  const { root, nodes, links } = buildTree();
+  expect(() => pruneSubtree(root, nodes, links)).toThrow();
+});
+
+test('pruneExplorationState forgets pruned objects everywhere', () => {
+  const record = (id) => ({ id, text_for_embedding: `Object ${id}` });
+  const state = {
+    searchHistory: [record('R'), record('A'), record('C')],
+    similarRecords: {
+      R: [record('A'), record('B')],
+      A: [record('C'), record('D')],
+      C: [record('E')],
+    },
+    searchedNodes: new Set(['R', 'A', 'C']),
+  };
+
+  const next = pruneExplorationState(state, ['A', 'C', 'E', 'D']);
+
+  expect(next.searchHistory).toEqual([record('R')]);
+  expect(next.similarRecords).toEqual({ R: [record('B')] });
+  expect(next.searchedNodes).toEqual(new Set(['R']));
+});
@@ -0,0 +1,193 @@
+// Export the TreeGraph SVG as a self-contained SVG or PNG file
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+// Export configuration constants
+export const EXPORT_CONFIG = {
+  PADDING: 60, // Room around the outermost nodes for labels
+  BACKGROUND: "black",
+  MAX_CANVAS_SIDE: 16384, // Browsers refuse larger canvases
+};
+
+// Styles treestyle.css gives tree elements through classes. The exported file
+// has no stylesheet, so they are written onto the elements; later entries win.
+export const EXPORT_CLASS_STYLES = [
+  { selector: ".search-dimmed", style: { opacity: "0.2" } },
+  { selector: ".node-group.search-match circle", style: { stroke: "#ffd54f", "stroke-width": "3px" } },
+  { selector: ".node-group.search-current circle", style: { stroke: "#ff9800", "stroke-width": "5px" } },
+];
+
+// Bounding box of the given nodes (circle + radius), in tree coordinates.
+// Pass the nodes actually drawn, so collapsed or filtered-out ones don't
+// stretch the frame.
+export const computeTreeBounds = (nodes, padding = EXPORT_CONFIG.PADDING) => {
+  if (!nodes.length) {
+    return { x: -padding, y: -padding, width: padding * 2, height: padding * 2 };
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  nodes.forEach((node) => {
+    minX = Math.min(minX, node.position.x - node.extends);
+    minY = Math.min(minY, node.position.y - node.extends);
+    maxX = Math.max(maxX, node.position.x + node.extends);
+    maxY = Math.max(maxY, node.position.y + node.extends);
+  });
+
+  return {
+    x: minX - padding,
+    y: minY - padding,
+    width: maxX - minX + padding * 2,
+    height: maxY - minY + padding * 2,
+  };
+};
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// Replace every <image> href with a data URL so the file has no external references.
+// Images the museum server will not hand out (CORS) keep their original URL.
+const inlineImages = async (svg) => {
+  const cache = new Map();
+  const images = [...svg.querySelectorAll("image")];
+
+  await Promise.all(
+    images.map(async (image) => {
+      const href = image.getAttribute("href") || image.getAttributeNS(XLINK_NS, "href");
+      if (!href || href.startsWith("data:")) return;
+
+      if (!cache.has(href)) {
+        cache.set(
+          href,
+          fetch(href, { mode: "cors" })
+            .then((response) => (response.ok ? response.blob() : Promise.reject(response.status)))
+            .then(blobToDataUrl)
+            .catch((err) => {
+              console.warn(`Could not inline image ${href}`, err);
+              return href;
+            })
+        );
+      }
+
+      const dataUrl = await cache.get(href);
+      image.setAttributeNS(XLINK_NS, "xlink:href", dataUrl);
+      image.setAttribute("href", dataUrl);
+    })
+  );
+};
+
+const inlineClassStyles = (svg) => {
+  EXPORT_CLASS_STYLES.forEach(({ selector, style }) => {
+    svg.querySelectorAll(selector).forEach((element) => {
+      Object.entries(style).forEach(([property, value]) => element.style.setProperty(property, value));
+    });
+  });
+};
+
+// Clone the live SVG, reset the zoom transform and frame the drawn nodes
+export const buildStandaloneSvg = async (
+  svgElement,
+  nodes,
+  { includeLabels = true, transparent = false, embedImages = true } = {}
+) => {
+  const bounds = computeTreeBounds(nodes);
+  const svg = svgElement.cloneNode(true);
+
+  svg.setAttribute("xmlns", SVG_NS);
+  svg.setAttribute("xmlns:xlink", XLINK_NS);
+  svg.setAttribute("width", bounds.width);
+  svg.setAttribute("height", bounds.height);
+  svg.setAttribute("viewBox", `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+  svg.removeAttribute("style");
+  inlineClassStyles(svg);
+
+  // The first group carries the pan/zoom transform of the viewport
+  const content = svg.querySelector("g");
+  if (content) content.removeAttribute("transform");
+
+  // Labels hidden on screen because of the zoom level are still exported
+  svg.querySelectorAll("text.similarity-label").forEach((label) => {
+    if (includeLabels) {
+      label.removeAttribute("display");
+    } else {
+      label.remove();
+    }
+  });
+
+  if (!transparent) {
+    const background = document.createElementNS(SVG_NS, "rect");
+    background.setAttribute("x", bounds.x);
+    background.setAttribute("y", bounds.y);
+    background.setAttribute("width", bounds.width);
+    background.setAttribute("height", bounds.height);
+    background.setAttribute("fill", EXPORT_CONFIG.BACKGROUND);
+    svg.insertBefore(background, svg.firstChild);
+  }
+
+  if (embedImages) {
+    await inlineImages(svg);
+  }
+
+  return {
+    markup: new XMLSerializer().serializeToString(svg),
+    width: bounds.width,
+    height: bounds.height,
+  };
+};
+
+export const exportTreeAsSvg = async (svgElement, nodes, options) => {
+  const { markup } = await buildStandaloneSvg(svgElement, nodes, options);
+  return new Blob([markup], { type: "image/svg+xml;charset=utf-8" });
+};
+
+// Rasterise the standalone SVG at the given scale
+export const exportTreeAsPng = async (svgElement, nodes, { scale = 2, ...options } = {}) => {
+  const { markup, width, height } = await buildStandaloneSvg(svgElement, nodes, options);
+  const effectiveScale = Math.min(
+    scale,
+    EXPORT_CONFIG.MAX_CANVAS_SIDE / width,
+    EXPORT_CONFIG.MAX_CANVAS_SIDE / height
+  );
+
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error("Could not render the tree image"));
+      img.src = url;
+    });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * effectiveScale);
+    canvas.height = Math.round(height * effectiveScale);
+    const context = canvas.getContext("2d");
+    context.scale(effectiveScale, effectiveScale);
+    context.drawImage(image, 0, 0, width, height);
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error("Could not encode PNG"))),
+        "image/png"
+      );
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+export const downloadBlob = (blob, filename) => {
+  const href = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = href;
+  anchor.download = filename;
+  anchor.click();
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+};
@@ -0,0 +1,65 @@
+import { Node } from './Node';
+import { computeTreeBounds, buildStandaloneSvg } from './treeImageExport';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const node = (x, y, size = 30) => {
+  const result = new Node({ x, y }, { x: 0, y: 0 });
+  result.extends = size;
+  return result;
+};
+
+describe('computeTreeBounds', () => {
+  test('frames every circle plus the padding', () => {
+    expect(computeTreeBounds([node(0, 0), node(200, -100, 20)], 10)).toEqual({
+      x: -40,
+      y: -130,
+      width: 270,
+      height: 170,
+    });
+  });
+
+  test('frames only the padding around the origin without nodes', () => {
+    expect(computeTreeBounds([], 10)).toEqual({ x: -10, y: -10, width: 20, height: 20 });
+  });
+});
+
+describe('buildStandaloneSvg', () => {
+  // A viewport group with one dimmed and one current node, as TreeGraph draws them
+  const buildSvg = () => {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    const content = document.createElementNS(SVG_NS, 'g');
+    content.setAttribute('transform', 'translate(50, 20) scale(2)');
+    [
+      ['node-group search-dimmed', 0],
+      ['node-group search-match search-current', 100],
+    ].forEach(([className, x]) => {
+      const group = document.createElementNS(SVG_NS, 'g');
+      group.setAttribute('class', className);
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('cx', x);
+      group.appendChild(circle);
+      content.appendChild(group);
+    });
+    svg.appendChild(content);
+    return svg;
+  };
+
+  test('frames the given nodes and drops the zoom transform', async () => {
+    const { markup, width, height } = await buildStandaloneSvg(buildSvg(), [node(0, 0), node(100, 0)], {
+      embedImages: false,
+    });
+
+    expect(width).toBe(100 + 2 * 30 + 2 * 60);
+    expect(height).toBe(2 * 30 + 2 * 60);
+    expect(markup).toContain('viewBox="-90 -90 280 180"');
+    expect(markup).not.toContain('translate(50, 20)');
+  });
+
+  test('writes class styles onto the elements', async () => {
+    const { markup } = await buildStandaloneSvg(buildSvg(), [node(0, 0)], { embedImages: false });
+
+    expect(markup).toContain('<g class="node-group search-dimmed" style="opacity: 0.2;">');
+    expect(markup).toContain('<circle cx="100" style="stroke: #ff9800; stroke-width: 5px;"/>');
+  });
+});
@@ -0,0 +1,93 @@
+// Deterministic layouts for TreeGraph, as alternatives to the physics simulation
+import * as d3 from "d3";
+
+// Layout configuration constants
+export const LAYOUT_CONFIG = {
+  NODE_SPACING: 80, // Horizontal distance between siblings in the tidy tree
+  LEVEL_SPACING: 160, // Vertical distance between depths in the tidy tree
+  RING_SPACING: 150, // Radius added per depth in the radial layout
+  INDENT: 60, // Horizontal indent per depth in the indented list
+  ROW_HEIGHT: 70, // Vertical distance between rows in the indented list
+  EASING: 0.12, // Fraction of the remaining distance covered each frame
+};
+
+// Available layouts; "physics" keeps the spring simulation in charge
+export const LAYOUTS = {
+  physics: { label: "Physics" },
+  tree: { label: "Tidy tree" },
+  radial: { label: "Radial" },
+  indented: { label: "Indented list" },
+};
+
+// Collapsed nodes are laid out as leaves
+const hierarchyOf = (rootNode) =>
+  d3.hierarchy(rootNode, (node) => (node.collapsed ? null : node.childNodes));
+
+const tidyTree = (rootNode) => {
+  const root = d3
+    .tree()
+    .nodeSize([LAYOUT_CONFIG.NODE_SPACING, LAYOUT_CONFIG.LEVEL_SPACING])(hierarchyOf(rootNode));
+  return root.descendants().map((d) => [d.data, { x: d.x, y: d.y }]);
+};
+
+const radialTree = (rootNode) => {
+  const hierarchy = hierarchyOf(rootNode);
+  const radius = Math.max(hierarchy.height, 1) * LAYOUT_CONFIG.RING_SPACING;
+  const root = d3
+    .tree()
+    .size([2 * Math.PI, radius])
+    .separation((a, b) => (a.parent === b.parent ? 1 : 2) / Math.max(a.depth, 1))(hierarchy);
+
+  return root.descendants().map((d) => [
+    d.data,
+    { x: d.y * Math.cos(d.x - Math.PI / 2), y: d.y * Math.sin(d.x - Math.PI / 2) },
+  ]);
+};
+
+const indentedList = (rootNode) => {
+  const positions = [];
+  hierarchyOf(rootNode).eachBefore((d) => {
+    positions.push([
+      d.data,
+      { x: d.depth * LAYOUT_CONFIG.INDENT, y: positions.length * LAYOUT_CONFIG.ROW_HEIGHT },
+    ]);
+  });
+  return positions;
+};
+
+const engines = { tree: tidyTree, radial: radialTree, indented: indentedList };
+
+// Target positions (Map of Node -> {x, y}) for a layout, anchored so the root
+// stays where it is; returns null for "physics"
+export const computeLayout = (layout, rootNode) => {
+  const engine = engines[layout];
+  if (!engine || !rootNode) return null;
+
+  const positions = engine(rootNode);
+  const [, rootTarget] = positions[0];
+  const dx = rootNode.position.x - rootTarget.x;
+  const dy = rootNode.position.y - rootTarget.y;
+  return new Map(positions.map(([node, target]) => [node, { x: target.x + dx, y: target.y + dy }]));
+};
+
+// Ease nodes a step towards their targets; returns true once all have arrived
+export const stepTowardsLayout = (nodes, targets, easing = LAYOUT_CONFIG.EASING) => {
+  let settled = true;
+  nodes.forEach((node) => {
+    const target = targets.get(node);
+    if (!target || node.pinned) return;
+    const dx = target.x - node.position.x;
+    const dy = target.y - node.position.y;
+    if (Math.abs(dx) > 0.1 || Math.abs(dy) > 0.1) {
+      settled = false;
+      node.position.x += dx * easing;
+      node.position.y += dy * easing;
+    } else {
+      node.position.x = target.x;
+      node.position.y = target.y;
+    }
+    node.velocity.x = 0;
+    node.velocity.y = 0;
+  });
+  return settled;
+};
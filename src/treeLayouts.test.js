@@ -0,0 +1,83 @@
+import { Node } from './Node';
+import { LAYOUT_CONFIG, computeLayout, stepTowardsLayout } from './treeLayouts';
+
+// root -> a -> c, root -> b, with the root away from the origin
+const buildTree = () => {
+  const root = new Node({ x: 40, y: -25 }, { x: 0, y: 0 }, 'root');
+  const a = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'a', null, root);
+  const b = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'b', null, root);
+  const c = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'c', null, a);
+  root.childNodes.push(a, b);
+  a.childNodes.push(c);
+  return { root, a, b, c, nodes: [root, a, b, c] };
+};
+
+describe('computeLayout', () => {
+  test.each(['tree', 'radial', 'indented'])('%s keeps the root where it was', (layout) => {
+    const { root, nodes } = buildTree();
+    const targets = computeLayout(layout, root);
+
+    expect(targets.get(root)).toEqual({ x: 40, y: -25 });
+    expect([...targets.keys()]).toEqual(expect.arrayContaining(nodes));
+  });
+
+  test('places each depth a level further down in the tidy tree', () => {
+    const { root, a, c } = buildTree();
+    const targets = computeLayout('tree', root);
+
+    expect(targets.get(a).y).toBe(-25 + LAYOUT_CONFIG.LEVEL_SPACING);
+    expect(targets.get(c).y).toBe(-25 + 2 * LAYOUT_CONFIG.LEVEL_SPACING);
+  });
+
+  test('lays collapsed nodes out as leaves', () => {
+    const { root, a, b, c } = buildTree();
+    a.collapsed = true;
+    const targets = computeLayout('indented', root);
+
+    expect(targets.has(c)).toBe(false);
+    expect(targets.get(b)).toEqual({
+      x: 40 + LAYOUT_CONFIG.INDENT,
+      y: -25 + 2 * LAYOUT_CONFIG.ROW_HEIGHT,
+    });
+  });
+
+  test('leaves physics, and trees without a root, to the simulation', () => {
+    expect(computeLayout('physics', buildTree().root)).toBeNull();
+    expect(computeLayout('tree', null)).toBeNull();
+  });
+});
+
+describe('stepTowardsLayout', () => {
+  test('converges on the targets', () => {
+    const { root, nodes } = buildTree();
+    const targets = computeLayout('radial', root);
+
+    let settled = false;
+    for (let frame = 0; frame < 200 && !settled; frame++) {
+      settled = stepTowardsLayout(nodes, targets);
+    }
+
+    expect(settled).toBe(true);
+    nodes.forEach((node) => expect(node.position).toEqual(targets.get(node)));
+  });
+
+  test('moves each node the easing fraction of the way and stops it', () => {
+    const node = new Node({ x: 0, y: 0 }, { x: 3, y: -2 });
+    stepTowardsLayout([node], new Map([[node, { x: 100, y: 50 }]]), 0.5);
+
+    expect(node.position).toEqual({ x: 50, y: 25 });
+    expect(node.velocity).toEqual({ x: 0, y: 0 });
+  });
+
+  test('skips pinned nodes', () => {
+    const { root, a, nodes } = buildTree();
+    a.pinned = true;
+    a.position = { x: -300, y: 300 };
+    const targets = computeLayout('tree', root);
+
+    for (let frame = 0; frame < 200; frame++) stepTowardsLayout(nodes, targets);
+
+    expect(a.position).toEqual({ x: -300, y: 300 });
+    expect(stepTowardsLayout(nodes, targets)).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+// Keyboard navigation over TreeGraph nodes, following the WAI-ARIA tree view
+// pattern: Left goes to the parent, Right to the first child, Up/Down move
+// between siblings and Home jumps back to the root.
+
+const siblingsOf = (node) => (node.parentNode ? node.parentNode.childNodes : [node]);
+
+// Node to focus after pressing `key` on `node`, or null if the key doesn't
+// move focus (or there is nowhere to go)
+export const findNeighbour = (node, key) => {
+  if (!node) return null;
+  const siblings = siblingsOf(node);
+  const index = siblings.indexOf(node);
+
+  switch (key) {
+    case "ArrowLeft":
+      return node.parentNode;
+    case "ArrowRight":
+      return node.childNodes[0] || null;
+    case "ArrowUp":
+      return index > 0 ? siblings[index - 1] : null;
+    case "ArrowDown":
+      return index < siblings.length - 1 ? siblings[index + 1] : null;
+    case "Home": {
+      let root = node;
+      while (root.parentNode) root = root.parentNode;
+      return root === node ? null : root;
+    }
+    default:
+      return null;
+  }
+};
+
+// Nodes from the root down to `node`, inclusive
+export const pathFromRoot = (node) => {
+  const path = [];
+  for (let current = node; current; current = current.parentNode) path.unshift(current);
+  return path;
+};
+
+// aria-level / aria-posinset / aria-setsize for a node
+export const treeItemPosition = (node) => {
+  const siblings = siblingsOf(node);
+  return {
+    level: node.depth + 1,
+    position: siblings.indexOf(node) + 1,
+    setSize: siblings.length,
+  };
+};
+
+// Text read out by the live region when a node gets focus
+export const describeNode = (node, similarityScore) => {
+  const { level, position, setSize } = treeItemPosition(node);
+  const parts = [node.description];
+  if (typeof similarityScore === "number") {
+    parts.push(`Similarity ${similarityScore.toFixed(2)}.`);
+  }
+  parts.push(
+    node.parentNode
+      ? `Level ${level}, ${position} of ${setSize}.`
+      : "Root object."
+  );
+  if (node.childNodes.length) {
+    parts.push(`${node.childNodes.length} similar object${node.childNodes.length === 1 ? "" : "s"}.`);
+  }
+  return parts.join(" ");
+};
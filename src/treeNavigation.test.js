@@ -0,0 +1,59 @@
+import { Node } from './Node';
+import { findNeighbour, pathFromRoot, treeItemPosition, describeNode } from './treeNavigation';
+
+// root -> (a, b, c), a -> (d)
+const buildTree = () => {
+  const origin = () => ({ x: 0, y: 0 });
+  const root = new Node(origin(), origin(), 'Root object.');
+  const [a, b, c] = ['A', 'B', 'C'].map(
+    (label) => new Node(origin(), origin(), `Object ${label}.`, null, root)
+  );
+  const d = new Node(origin(), origin(), 'Object D.', null, a);
+  root.childNodes.push(a, b, c);
+  a.childNodes.push(d);
+  return { root, a, b, c, d };
+};
+
+describe('findNeighbour', () => {
+  test('moves to parent, first child and siblings', () => {
+    const { root, a, b, c, d } = buildTree();
+    expect(findNeighbour(b, 'ArrowLeft')).toBe(root);
+    expect(findNeighbour(root, 'ArrowRight')).toBe(a);
+    expect(findNeighbour(b, 'ArrowUp')).toBe(a);
+    expect(findNeighbour(b, 'ArrowDown')).toBe(c);
+    expect(findNeighbour(d, 'Home')).toBe(root);
+  });
+
+  test('returns null at the edges and for other keys', () => {
+    const { root, a, c, d } = buildTree();
+    expect(findNeighbour(root, 'ArrowLeft')).toBeNull();
+    expect(findNeighbour(d, 'ArrowRight')).toBeNull();
+    expect(findNeighbour(a, 'ArrowUp')).toBeNull();
+    expect(findNeighbour(c, 'ArrowDown')).toBeNull();
+    expect(findNeighbour(root, 'ArrowDown')).toBeNull();
+    expect(findNeighbour(root, 'Home')).toBeNull();
+    expect(findNeighbour(a, 'x')).toBeNull();
+  });
+});
+
+test('pathFromRoot lists the ancestors down to the node', () => {
+  const { root, a, d } = buildTree();
+  expect(pathFromRoot(d)).toEqual([root, a, d]);
+  expect(pathFromRoot(root)).toEqual([root]);
+  expect(pathFromRoot(null)).toEqual([]);
+});
+
+test('treeItemPosition gives ARIA level and position in set', () => {
+  const { root, b, d } = buildTree();
+  expect(treeItemPosition(root)).toEqual({ level: 1, position: 1, setSize: 1 });
+  expect(treeItemPosition(b)).toEqual({ level: 2, position: 2, setSize: 3 });
+  expect(treeItemPosition(d)).toEqual({ level: 3, position: 1, setSize: 1 });
+});
+
+test('describeNode reads out description, similarity and position', () => {
+  const { root, a } = buildTree();
+  expect(describeNode(root)).toBe('Root object. Root object. 3 similar objects.');
+  expect(describeNode(a, 0.8765)).toBe(
+    'Object A. Similarity 0.88. Level 2, 1 of 3. 1 similar object.'
+  );
+});
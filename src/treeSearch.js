@@ -0,0 +1,122 @@
+// Find-in-tree queries. Plain text matches as a case-insensitive substring of
+// a node's description or id. Simple boolean terms are supported:
+//   jade cup          both words (AND is implied; "AND" may also be written)
+//   jade OR bronze    either word
+//   -modern           NOT modern ("NOT modern" works too)
+//   "jade cup"        exact phrase
+//   (jade OR bronze) cup   parentheses group terms
+
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(-)?"([^"]*)"?|(-)?([^\s()"]+))/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null && match[0].trim() !== "") {
+    const [, open, close, quotedNegation, phrase, wordNegation, word] = match;
+    if (open) {
+      tokens.push({ type: "(" });
+    } else if (close) {
+      tokens.push({ type: ")" });
+    } else if (phrase !== undefined) {
+      if (quotedNegation) tokens.push({ type: "NOT" });
+      tokens.push({ type: "term", value: phrase });
+    } else if (word === "AND" || word === "OR" || word === "NOT") {
+      tokens.push({ type: word });
+    } else {
+      if (wordNegation) tokens.push({ type: "NOT" });
+      tokens.push({ type: "term", value: word });
+    }
+  }
+  return tokens;
+};
+
+// Recursive descent: or := and ("OR" and)*, and := not ("AND"? not)*,
+// not := "NOT" not | "(" or ")" | term. Stray operators and unbalanced
+// parentheses are tolerated rather than rejected, since queries are typed live.
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseNot = () => {
+    const token = peek();
+    if (!token) return null;
+    if (token.type === "NOT") {
+      position++;
+      const operand = parseNot();
+      return operand ? { type: "not", operand } : null;
+    }
+    if (token.type === "(") {
+      position++;
+      const inner = parseOr();
+      if (peek()?.type === ")") position++;
+      return inner;
+    }
+    if (token.type === "term") {
+      position++;
+      return token.value.trim() ? { type: "term", value: token.value.toLowerCase() } : null;
+    }
+    return null;
+  };
+
+  const parseAnd = () => {
+    const operands = [];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") {
+        position++;
+        continue;
+      }
+      const operand = parseNot();
+      if (operand) operands.push(operand);
+    }
+    if (operands.length === 0) return null;
+    return operands.length === 1 ? operands[0] : { type: "and", operands };
+  };
+
+  const parseOr = () => {
+    const operands = [];
+    const first = parseAnd();
+    if (first) operands.push(first);
+    while (peek()?.type === "OR") {
+      position++;
+      const operand = parseAnd();
+      if (operand) operands.push(operand);
+    }
+    if (operands.length === 0) return null;
+    return operands.length === 1 ? operands[0] : { type: "or", operands };
+  };
+
+  const expressions = [];
+  while (position < tokens.length) {
+    const expression = parseOr();
+    if (expression) expressions.push(expression);
+    if (peek()?.type === ")") position++; // Unmatched closing parenthesis
+  }
+  if (expressions.length === 0) return null;
+  return expressions.length === 1 ? expressions[0] : { type: "and", operands: expressions };
+};
+
+const evaluate = (expression, haystack) => {
+  switch (expression.type) {
+    case "term":
+      return haystack.includes(expression.value);
+    case "not":
+      return !evaluate(expression.operand, haystack);
+    case "and":
+      return expression.operands.every((operand) => evaluate(operand, haystack));
+    default:
+      return expression.operands.some((operand) => evaluate(operand, haystack));
+  }
+};
+
+// Predicate over tree nodes for a query, or null when the query is empty
+export const parseTreeQuery = (text) => {
+  const expression = parse(tokenize(text || ""));
+  if (!expression) return null;
+  return (node) =>
+    evaluate(expression, `${node.description || ""}\n${node.id ?? ""}`.toLowerCase());
+};
+
+// Nodes matching a query, in tree order, or null when the query is empty
+export const findMatchingNodes = (nodes, text) => {
+  const matches = parseTreeQuery(text);
+  return matches ? nodes.filter(matches) : null;
+};
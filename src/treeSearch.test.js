@@ -0,0 +1,43 @@
+import { parseTreeQuery, findMatchingNodes } from './treeSearch';
+
+const nodes = [
+  { id: 'WCO12345', description: 'Carved jade cup with dragon handles.' },
+  { id: 'EA5678', description: 'Bronze ritual cup, Shang dynasty.' },
+  { id: 42, description: 'Jade pendant in the form of a fish.' },
+  { id: 'M-9', description: 'Modern porcelain cup.' },
+];
+
+const search = (query) => (findMatchingNodes(nodes, query) || []).map((node) => node.id);
+
+test('matches plain substrings of description and id, ignoring case', () => {
+  expect(search('JADE')).toEqual(['WCO12345', 42]);
+  expect(search('ea56')).toEqual(['EA5678']);
+  expect(search('42')).toEqual([42]);
+});
+
+test('requires every word by default', () => {
+  expect(search('jade cup')).toEqual(['WCO12345']);
+  expect(search('jade AND cup')).toEqual(['WCO12345']);
+});
+
+test('supports OR, NOT, phrases and parentheses', () => {
+  expect(search('jade OR bronze')).toEqual(['WCO12345', 'EA5678', 42]);
+  expect(search('cup -modern')).toEqual(['WCO12345', 'EA5678']);
+  expect(search('cup NOT modern')).toEqual(['WCO12345', 'EA5678']);
+  expect(search('"ritual cup"')).toEqual(['EA5678']);
+  expect(search('-"jade cup"')).toEqual(['EA5678', 42, 'M-9']);
+  expect(search('(jade OR bronze) cup')).toEqual(['WCO12345', 'EA5678']);
+});
+
+test('tolerates half-typed queries', () => {
+  expect(search('(jade OR')).toEqual(['WCO12345', 42]);
+  expect(search('jade)')).toEqual(['WCO12345', 42]);
+  expect(search('"dragon')).toEqual(['WCO12345']);
+  expect(findMatchingNodes(nodes, 'OR')).toBeNull();
+});
+
+test('an empty query has no predicate and no results', () => {
+  expect(parseTreeQuery('   ')).toBeNull();
+  expect(findMatchingNodes(nodes, '')).toBeNull();
+  expect(search('no such object')).toEqual([]);
+});
@@ -0,0 +1,285 @@
+// Save and restore a whole exploration (tree + App state) as versioned JSON
+import Ajv from "ajv";
+import { Node } from "./Node.js";
+import { objectRecordSchema } from "./museumApi";
+
+export const TREE_DOCUMENT_FORMAT = "dataconnections-exploration";
+export const TREE_DOCUMENT_VERSION = 1;
+
+// Raised when a document cannot be parsed, validated or restored
+export class TreeDocumentError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "TreeDocumentError";
+    this.errors = errors;
+  }
+}
+
+const pointSchema = {
+  type: "object",
+  properties: { x: { type: "number" }, y: { type: "number" } },
+  required: ["x", "y"],
+};
+
+const nullableString = { type: ["string", "null"] };
+
+export const treeDocumentSchema = {
+  type: "object",
+  properties: {
+    format: { const: TREE_DOCUMENT_FORMAT },
+    version: { type: "integer", minimum: 1 },
+    savedAt: { type: "string" },
+    tree: {
+      type: "object",
+      properties: {
+        rootKey: nullableString,
+        activeKey: nullableString,
+        nodes: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              key: { type: "string" },
+              id: { type: ["string", "integer", "null"] },
+              description: { type: "string" },
+              image: nullableString,
+              parentKey: nullableString,
+              position: pointSchema,
+              velocity: pointSchema,
+              extends: { type: "number" },
+              pinned: { type: "boolean" },
+              collapsed: { type: "boolean" },
+            },
+            required: ["key", "description", "parentKey", "position"],
+          },
+        },
+        links: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              sourceKey: { type: "string" },
+              targetKey: { type: "string" },
+              similarityScore: { type: "number" },
+              initialAngle: { type: "number" },
+              crossLink: { type: "boolean" },
+            },
+            required: ["sourceKey", "targetKey"],
+          },
+        },
+      },
+      required: ["rootKey", "activeKey", "nodes", "links"],
+    },
+    app: {
+      type: "object",
+      properties: {
+        selectedObject: { anyOf: [objectRecordSchema, { type: "null" }] },
+        searchHistory: { type: "array", items: objectRecordSchema },
+        similarRecords: {
+          type: "object",
+          additionalProperties: { type: "array", items: objectRecordSchema },
+        },
+        searchedNodes: { type: "array", items: { type: ["string", "integer"] } },
+      },
+      required: ["selectedObject", "searchHistory", "similarRecords", "searchedNodes"],
+    },
+  },
+  required: ["format", "version", "tree", "app"],
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validateDocument = ajv.compile(treeDocumentSchema);
+
+// Older document versions are upgraded here before validation
+const migrations = {};
+
+// Turn the live tree and App state into a plain JSON-safe document
+export const serializeExploration = ({
+  nodes = [],
+  links = [],
+  activeNode = null,
+  selectedObject = null,
+  searchHistory = [],
+  similarRecords = {},
+  searchedNodes = new Set(),
+}) => {
+  const keyOf = (node) => node.instanceId;
+  const rootNode = nodes.find((node) => node.parentNode === null) || null;
+
+  // App's activeNode is either a Node from the tree or a plain {description, image}
+  const activeInTree = activeNode
+    ? nodes.find((node) => node === activeNode) ||
+      nodes.find((node) => activeNode.id && node.id === activeNode.id) ||
+      nodes.find((node) => node.description === activeNode.description)
+    : null;
+
+  return {
+    format: TREE_DOCUMENT_FORMAT,
+    version: TREE_DOCUMENT_VERSION,
+    savedAt: new Date().toISOString(),
+    tree: {
+      rootKey: rootNode ? keyOf(rootNode) : null,
+      activeKey: activeInTree ? keyOf(activeInTree) : null,
+      nodes: nodes.map((node) => ({
+        key: keyOf(node),
+        id: node.id ?? null,
+        description: node.description,
+        image: node.image ?? null,
+        parentKey: node.parentNode ? keyOf(node.parentNode) : null,
+        position: { x: node.position.x, y: node.position.y },
+        velocity: { x: node.velocity.x, y: node.velocity.y },
+        extends: node.extends,
+        ...(node.pinned && { pinned: true }),
+        ...(node.collapsed && { collapsed: true }),
+      })),
+      links: links.map((link) => ({
+        sourceKey: keyOf(link.source),
+        targetKey: keyOf(link.target),
+        similarityScore: link.similarityScore || 0,
+        ...(link.initialAngle !== undefined && { initialAngle: link.initialAngle }),
+        ...(link.crossLink && { crossLink: true }),
+      })),
+    },
+    app: {
+      selectedObject,
+      searchHistory,
+      similarRecords,
+      searchedNodes: [...searchedNodes],
+    },
+  };
+};
+
+// Parse (if needed), migrate and validate a document; throws TreeDocumentError
+export const parseExploration = (input) => {
+  let doc = input;
+  if (typeof input === "string") {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new TreeDocumentError("File is not valid JSON");
+    }
+  }
+
+  if (!doc || doc.format !== TREE_DOCUMENT_FORMAT) {
+    throw new TreeDocumentError("File is not a saved exploration");
+  }
+  if (doc.version > TREE_DOCUMENT_VERSION) {
+    throw new TreeDocumentError(
+      `Exploration was saved by a newer version (v${doc.version}) of the app`
+    );
+  }
+  while (doc.version < TREE_DOCUMENT_VERSION) {
+    const migrate = migrations[doc.version];
+    if (!migrate) {
+      throw new TreeDocumentError(`Unsupported exploration version v${doc.version}`);
+    }
+    doc = migrate(doc);
+  }
+
+  if (!validateDocument(doc)) {
+    throw new TreeDocumentError(
+      `Invalid exploration: ${ajv.errorsText(validateDocument.errors)}`,
+      validateDocument.errors
+    );
+  }
+  return doc;
+};
+
+// Rebuild Node instances and links from a validated document
+export const restoreExploration = (input) => {
+  const doc = parseExploration(input);
+  const { tree, app } = doc;
+
+  const byKey = new Map();
+  const nodes = tree.nodes.map((saved) => {
+    if (byKey.has(saved.key)) {
+      throw new TreeDocumentError(`Duplicate node key ${saved.key}`);
+    }
+    const node = new Node(
+      { ...saved.position },
+      { ...(saved.velocity || { x: 0, y: 0 }) },
+      saved.description,
+      saved.image,
+      null,
+      saved.id
+    );
+    node.instanceId = saved.key;
+    if (saved.extends !== undefined) node.extends = saved.extends;
+    node.pinned = saved.pinned === true;
+    node.collapsed = saved.collapsed === true;
+    byKey.set(saved.key, node);
+    return node;
+  });
+
+  const lookup = (key, what) => {
+    const node = byKey.get(key);
+    if (!node) throw new TreeDocumentError(`Unknown ${what} node ${key}`);
+    return node;
+  };
+
+  // Link parents in document order, then derive depths top-down
+  tree.nodes.forEach((saved, i) => {
+    if (saved.parentKey === null) return;
+    const parent = lookup(saved.parentKey, "parent");
+    nodes[i].parentNode = parent;
+    parent.childNodes.push(nodes[i]);
+  });
+
+  const rootNode = tree.rootKey ? lookup(tree.rootKey, "root") : null;
+  const assignDepth = (node, depth, seen) => {
+    if (seen.has(node)) throw new TreeDocumentError("Tree contains a cycle");
+    seen.add(node);
+    node.depth = depth;
+    node.childNodes.forEach((child) => assignDepth(child, depth + 1, seen));
+  };
+  if (rootNode) {
+    const seen = new Set();
+    assignDepth(rootNode, 0, seen);
+    if (seen.size !== nodes.length) {
+      throw new TreeDocumentError("Tree has nodes that are not connected to the root");
+    }
+  }
+
+  const links = tree.links.map((saved) => ({
+    source: lookup(saved.sourceKey, "link source"),
+    target: lookup(saved.targetKey, "link target"),
+    similarityScore: saved.similarityScore || 0,
+    ...(saved.initialAngle !== undefined && { initialAngle: saved.initialAngle }),
+    ...(saved.crossLink && { crossLink: true }),
+  }));
+
+  return {
+    nodes,
+    links,
+    rootNode,
+    activeNode: tree.activeKey ? lookup(tree.activeKey, "active") : null,
+    selectedObject: app.selectedObject,
+    searchHistory: app.searchHistory,
+    similarRecords: app.similarRecords,
+    searchedNodes: new Set(app.searchedNodes),
+    savedAt: doc.savedAt,
+  };
+};
+
+// Headline numbers for listing a saved exploration without restoring it
+export const summarizeExploration = (doc) => {
+  const { nodes, rootKey } = doc.tree;
+  const parentOf = new Map(nodes.map((node) => [node.key, node.parentKey]));
+
+  const depthOf = (key) => {
+    let depth = 0;
+    for (let parent = parentOf.get(key); parent; parent = parentOf.get(parent)) {
+      depth++;
+      if (depth > nodes.length) break; // Guard against malformed cycles
+    }
+    return depth;
+  };
+
+  const root = nodes.find((node) => node.key === rootKey) || null;
+  return {
+    nodeCount: nodes.length,
+    depth: nodes.reduce((max, node) => Math.max(max, depthOf(node.key)), 0),
+    rootImage: root?.image ?? null,
+    rootDescription: root?.description ?? "",
+  };
+};
@@ -0,0 +1,112 @@
+import { Node } from './Node';
+import {
+  serializeExploration,
+  restoreExploration,
+  parseExploration,
+  TreeDocumentError,
+  TREE_DOCUMENT_VERSION,
+} from './treeSerializer';
+
+const record = (id, score) => ({
+  id,
+  Image: `https://example.org/${id}.jpg`,
+  text_for_embedding: `Object ${id}`,
+  ...(score !== undefined && { similarityScore: score }),
+});
+
+// root -> (a, b), a -> c
+const buildExploration = () => {
+  const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'Object R', 'https://example.org/R.jpg', null, 'R');
+  const a = new Node({ x: -50, y: -150 }, { x: 0.1, y: 0 }, 'Object A', 'https://example.org/A.jpg', root, 'A');
+  const b = new Node({ x: 50, y: -150 }, { x: 0, y: 0 }, 'Object B', 'https://example.org/B.jpg', root, 'B');
+  const c = new Node({ x: -50, y: -300 }, { x: 0, y: 0 }, 'Object C', 'https://example.org/C.jpg', a, 'C');
+  root.childNodes.push(a, b);
+  a.childNodes.push(c);
+  b.pinned = true;
+
+  const links = [
+    { source: root, target: a, similarityScore: 0.91, initialAngle: -1.2 },
+    { source: root, target: b, similarityScore: 0.72 },
+    { source: a, target: c, similarityScore: 0.64 },
+    { source: b, target: c, similarityScore: 0.58, crossLink: true },
+  ];
+
+  return {
+    nodes: [root, a, b, c],
+    links,
+    activeNode: a,
+    selectedObject: record('A', 0.91),
+    searchHistory: [record('R'), record('A', 0.91)],
+    similarRecords: {
+      R: [record('A', 0.91), record('B', 0.72)],
+      A: [record('C', 0.64)],
+    },
+    searchedNodes: new Set(['R', 'A']),
+  };
+};
+
+test('round-trips the tree and App state through JSON', () => {
+  const exploration = buildExploration();
+  const json = JSON.stringify(serializeExploration(exploration));
+  const restored = restoreExploration(json);
+
+  expect(restored.nodes.map((node) => node.instanceId)).toEqual(
+    exploration.nodes.map((node) => node.instanceId)
+  );
+  restored.nodes.forEach((node, i) => {
+    const original = exploration.nodes[i];
+    expect(node).toBeInstanceOf(Node);
+    expect(node.id).toBe(original.id);
+    expect(node.description).toBe(original.description);
+    expect(node.image).toBe(original.image);
+    expect(node.position).toEqual(original.position);
+    expect(node.velocity).toEqual(original.velocity);
+    expect(node.depth).toBe(original.depth);
+    expect(node.pinned).toBe(original.pinned);
+    expect(node.parentNode?.instanceId).toBe(original.parentNode?.instanceId);
+    expect(node.childNodes.map((child) => child.instanceId)).toEqual(
+      original.childNodes.map((child) => child.instanceId)
+    );
+  });
+
+  expect(restored.rootNode).toBe(restored.nodes[0]);
+  expect(restored.activeNode).toBe(restored.nodes[1]);
+  expect(restored.links[0].source).toBe(restored.nodes[0]);
+  expect(restored.links[0].target).toBe(restored.nodes[1]);
+  expect(restored.links.map((link) => link.similarityScore)).toEqual([0.91, 0.72, 0.64, 0.58]);
+  expect(restored.links.map((link) => Boolean(link.crossLink))).toEqual([false, false, false, true]);
+  expect(restored.links[0].initialAngle).toBe(-1.2);
+
+  expect(restored.selectedObject).toEqual(exploration.selectedObject);
+  expect(restored.searchHistory).toEqual(exploration.searchHistory);
+  expect(restored.similarRecords).toEqual(exploration.similarRecords);
+  expect(restored.searchedNodes).toEqual(exploration.searchedNodes);
+});
+
+test('stamps the document with its format version', () => {
+  const doc = serializeExploration(buildExploration());
+  expect(doc.version).toBe(TREE_DOCUMENT_VERSION);
+  expect(parseExploration(doc)).toBe(doc);
+});
+
+test('rejects documents that are not explorations', () => {
+  expect(() => parseExploration('not json')).toThrow(TreeDocumentError);
+  expect(() => parseExploration({ hello: 'world' })).toThrow(TreeDocumentError);
+});
+
+test('rejects documents from a newer version of the app', () => {
+  const doc = serializeExploration(buildExploration());
+  expect(() => parseExploration({ ...doc, version: TREE_DOCUMENT_VERSION + 1 })).toThrow(/newer version/);
+});
+
+test('rejects documents that fail schema validation', () => {
+  const doc = serializeExploration(buildExploration());
+  doc.tree.nodes[1].position = { x: 'left' };
+  expect(() => parseExploration(doc)).toThrow(/Invalid exploration/);
+});
+
+test('rejects links to unknown nodes', () => {
+  const doc = serializeExploration(buildExploration());
+  doc.tree.links[0].targetKey = 'missing';
+  expect(() => restoreExploration(doc)).toThrow(/Unknown link target/);
+});
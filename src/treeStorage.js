@@ -0,0 +1,181 @@
+// Saved-exploration library behind a storage adapter (localStorage or REST)
+import { parseExploration, summarizeExploration } from "./treeSerializer";
+import { ApiHttpError, ApiNetworkError, getMockFetch } from "./museumApi";
+
+// Every adapter implements the same async interface:
+//   list()                 -> [entry without document], newest first
+//   load(id)               -> entry with document
+//   save({ id?, name, document }) -> entry without document (creates when id is missing)
+//   rename(id, name)       -> entry without document
+//   duplicate(id)          -> entry without document
+//   remove(id)             -> undefined
+// An entry is { id, name, createdAt, updatedAt, summary, document }.
+
+export class TreeStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TreeStoreError";
+  }
+}
+
+const createEntryId = () =>
+  `tree_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const withoutDocument = ({ document, ...entry }) => entry;
+
+const newestFirst = (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+
+export const createLocalStorageTreeStore = ({
+  userId,
+  storage = window.localStorage,
+}) => {
+  const storageKey = `dataconnections.trees.${userId}`;
+
+  const readAll = () => {
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || [];
+    } catch (err) {
+      console.error("Saved trees are corrupted, starting fresh", err);
+      return [];
+    }
+  };
+
+  const writeAll = (entries) => {
+    try {
+      storage.setItem(storageKey, JSON.stringify(entries));
+    } catch (err) {
+      throw new TreeStoreError("Browser storage is full; delete some saved trees");
+    }
+  };
+
+  const find = (entries, id) => {
+    const entry = entries.find((item) => item.id === id);
+    if (!entry) throw new TreeStoreError(`Saved tree ${id} not found`);
+    return entry;
+  };
+
+  return {
+    list: async () => readAll().map(withoutDocument).sort(newestFirst),
+
+    load: async (id) => find(readAll(), id),
+
+    save: async ({ id, name, document }) => {
+      const doc = parseExploration(document);
+      const entries = readAll();
+      const now = new Date().toISOString();
+      const existing = id ? entries.find((item) => item.id === id) : null;
+
+      const entry = {
+        id: existing ? existing.id : createEntryId(),
+        name: name || existing?.name || "Untitled exploration",
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        summary: summarizeExploration(doc),
+        document: doc,
+      };
+      writeAll(existing
+        ? entries.map((item) => (item.id === existing.id ? entry : item))
+        : [...entries, entry]);
+      return withoutDocument(entry);
+    },
+
+    rename: async (id, name) => {
+      const entries = readAll();
+      const entry = { ...find(entries, id), name, updatedAt: new Date().toISOString() };
+      writeAll(entries.map((item) => (item.id === id ? entry : item)));
+      return withoutDocument(entry);
+    },
+
+    duplicate: async (id) => {
+      const entries = readAll();
+      const now = new Date().toISOString();
+      const source = find(entries, id);
+      const copy = {
+        ...source,
+        id: createEntryId(),
+        name: `${source.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+      };
+      writeAll([...entries, copy]);
+      return withoutDocument(copy);
+    },
+
+    remove: async (id) => {
+      const entries = readAll();
+      find(entries, id);
+      writeAll(entries.filter((item) => item.id !== id));
+    },
+  };
+};
+
+export const createRestTreeStore = ({
+  baseUrl,
+  token = null,
+  fetchImpl = (...args) => fetch(...args),
+}) => {
+  const root = `${baseUrl.replace(/\/+$/, "")}/user_trees`;
+
+  const request = async (path, { method = "GET", body } = {}) => {
+    const url = `${root}${path}`;
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method,
+        headers: {
+          ...(body !== undefined && { "Content-Type": "application/json" }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+      });
+    } catch (err) {
+      throw new ApiNetworkError({ url, cause: err });
+    }
+    if (!response.ok) {
+      throw new ApiHttpError(response.status, { url });
+    }
+    return response.status === 204 ? undefined : response.json();
+  };
+
+  return {
+    list: () => request(""),
+
+    load: async (id) => {
+      const entry = await request(`/${encodeURIComponent(id)}`);
+      return { ...entry, document: parseExploration(entry.document) };
+    },
+
+    save: ({ id, name, document }) => {
+      const doc = parseExploration(document);
+      const body = { name, summary: summarizeExploration(doc), document: doc };
+      return id
+        ? request(`/${encodeURIComponent(id)}`, { method: "PUT", body })
+        : request("", { method: "POST", body });
+    },
+
+    rename: (id, name) =>
+      request(`/${encodeURIComponent(id)}`, { method: "PATCH", body: { name } }),
+
+    duplicate: (id) =>
+      request(`/${encodeURIComponent(id)}/duplicate`, { method: "POST" }),
+
+    remove: (id) =>
+      request(`/${encodeURIComponent(id)}`, { method: "DELETE" }),
+  };
+};
+
+// Pick the adapter from REACT_APP_TREE_STORAGE ("local" by default, or "rest")
+export const createTreeStoreFromEnv = (user, env = process.env) => {
+  if (!user) return null;
+
+  if (env.REACT_APP_TREE_STORAGE === "rest") {
+    const useMock = env.REACT_APP_USE_MOCK_API === "true";
+    return createRestTreeStore({
+      baseUrl: env.REACT_APP_API_URL || "http://mock.museum.local",
+      token: user.token,
+      ...(useMock && { fetchImpl: getMockFetch(env) }),
+    });
+  }
+
+  return createLocalStorageTreeStore({ userId: user.id });
+};
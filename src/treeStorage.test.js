@@ -0,0 +1,84 @@
+import { Node } from './Node';
+import { serializeExploration } from './treeSerializer';
+import { createLocalStorageTreeStore, createRestTreeStore, TreeStoreError } from './treeStorage';
+import { createMockBackend } from './mockBackend';
+
+const buildDocument = () => {
+  const root = new Node({ x: 0, y: 0 }, { x: 0, y: 0 }, 'Jade cup', 'https://example.org/root.jpg', null, 'R');
+  const child = new Node({ x: 0, y: -150 }, { x: 0, y: 0 }, 'Jade bowl', 'https://example.org/a.jpg', root, 'A');
+  const grandChild = new Node({ x: 0, y: -300 }, { x: 0, y: 0 }, 'Jade vase', 'https://example.org/b.jpg', child, 'B');
+  root.childNodes.push(child);
+  child.childNodes.push(grandChild);
+  return serializeExploration({
+    nodes: [root, child, grandChild],
+    links: [
+      { source: root, target: child, similarityScore: 0.9 },
+      { source: child, target: grandChild, similarityScore: 0.8 },
+    ],
+    activeNode: child,
+  });
+};
+
+const adapters = {
+  localStorage: () => createLocalStorageTreeStore({ userId: 'user-1', storage: window.localStorage }),
+  'REST on the mock backend': () => {
+    const backend = createMockBackend();
+    return createRestTreeStore({ baseUrl: backend.baseUrl, token: 'token-1', fetchImpl: backend.fetch });
+  },
+};
+
+beforeEach(() => window.localStorage.clear());
+
+describe.each(Object.entries(adapters))('%s adapter', (_, createStore) => {
+  test('saves explorations with a summary and lists them', async () => {
+    const store = createStore();
+    const saved = await store.save({ name: 'Jade', document: buildDocument() });
+
+    expect(saved).toMatchObject({
+      name: 'Jade',
+      summary: { nodeCount: 3, depth: 2, rootImage: 'https://example.org/root.jpg' },
+    });
+    expect(saved.document).toBeUndefined();
+    await expect(store.list()).resolves.toEqual([saved]);
+  });
+
+  test('loads the full document back', async () => {
+    const store = createStore();
+    const document = buildDocument();
+    const saved = await store.save({ name: 'Jade', document });
+
+    const loaded = await store.load(saved.id);
+    expect(loaded.document).toEqual(document);
+  });
+
+  test('updates an existing entry when saved with its id', async () => {
+    const store = createStore();
+    const saved = await store.save({ name: 'Jade', document: buildDocument() });
+    await store.save({ id: saved.id, name: 'Jade', document: buildDocument() });
+
+    await expect(store.list()).resolves.toHaveLength(1);
+  });
+
+  test('renames, duplicates and deletes entries', async () => {
+    const store = createStore();
+    const saved = await store.save({ name: 'Jade', document: buildDocument() });
+
+    await store.rename(saved.id, 'Green things');
+    const copy = await store.duplicate(saved.id);
+    expect(copy.name).toBe('Green things (copy)');
+    expect(copy.id).not.toBe(saved.id);
+
+    await store.remove(saved.id);
+    const remaining = await store.list();
+    expect(remaining.map((entry) => entry.id)).toEqual([copy.id]);
+  });
+});
+
+test('localStorage entries are kept per user', async () => {
+  const first = createLocalStorageTreeStore({ userId: 'user-1', storage: window.localStorage });
+  const second = createLocalStorageTreeStore({ userId: 'user-2', storage: window.localStorage });
+  await first.save({ name: 'Jade', document: buildDocument() });
+
+  await expect(second.list()).resolves.toEqual([]);
+  await expect(second.load('missing')).rejects.toBeInstanceOf(TreeStoreError);
+});
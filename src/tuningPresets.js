@@ -0,0 +1,69 @@
+// Named physics/layout presets for the TuningPanel. Built-in presets ship with
+// the app; presets saved by the user live in localStorage and may shadow them.
+
+const STORAGE_KEY = "dataconnections.tuningPresets";
+
+// Each preset holds overrides for PHYSICS_CONFIG (physics) and TREE_CONFIG (tree)
+export const BUILT_IN_PRESETS = {
+  calm: {
+    physics: {
+      DAMPING: 0.3,
+      SPRING_FORCE: 0.06,
+      TARGET_LINK_LENGTH: 170,
+      ANGULAR_RESTORING_FORCE: 0.02,
+      WIND_STRENGTH: 0.2,
+    },
+    tree: { NODE_RADIUS: 30 },
+  },
+  organic: {
+    physics: {
+      DAMPING: 0.6,
+      SPRING_FORCE: 0.1,
+      TARGET_LINK_LENGTH: 150,
+      ANGULAR_RESTORING_FORCE: 0.005,
+      WIND_STRENGTH: 1.5,
+    },
+    tree: { NODE_RADIUS: 30 },
+  },
+  compact: {
+    physics: {
+      DAMPING: 0.5,
+      SPRING_FORCE: 0.15,
+      TARGET_LINK_LENGTH: 90,
+      ANGULAR_RESTORING_FORCE: 0.01,
+      WIND_STRENGTH: 0.5,
+    },
+    tree: { NODE_RADIUS: 20 },
+  },
+};
+
+const defaultStorage = () => (typeof window !== "undefined" ? window.localStorage : null);
+
+export const loadSavedPresets = (storage = defaultStorage()) => {
+  if (!storage) return {};
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+const writePresets = (presets, storage) => {
+  if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+// Built-ins merged with the user's presets (user presets win on name clashes)
+export const listPresets = (storage = defaultStorage()) => ({
+  ...BUILT_IN_PRESETS,
+  ...loadSavedPresets(storage),
+});
+
+export const savePreset = (name, preset, storage = defaultStorage()) =>
+  writePresets({ ...loadSavedPresets(storage), [name]: preset }, storage);
+
+export const deletePreset = (name, storage = defaultStorage()) => {
+  const { [name]: removed, ...rest } = loadSavedPresets(storage);
+  return writePresets(rest, storage);
+};
@@ -0,0 +1,64 @@
+import {
+  BUILT_IN_PRESETS,
+  loadSavedPresets,
+  listPresets,
+  savePreset,
+  deletePreset,
+} from './tuningPresets';
+
+// Minimal localStorage stand-in
+const createStorage = (initial = {}) => {
+  const items = { ...initial };
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+  };
+};
+
+const dense = { physics: { TARGET_LINK_LENGTH: 60 }, tree: { NODE_RADIUS: 15 } };
+
+test('lists only the built-in presets before anything is saved', () => {
+  const storage = createStorage();
+  expect(loadSavedPresets(storage)).toEqual({});
+  expect(listPresets(storage)).toEqual(BUILT_IN_PRESETS);
+});
+
+test('saves presets and loads them back', () => {
+  const storage = createStorage();
+  savePreset('dense', dense, storage);
+  savePreset('airy', { physics: { TARGET_LINK_LENGTH: 220 }, tree: {} }, storage);
+
+  expect(loadSavedPresets(storage)).toEqual({
+    dense,
+    airy: { physics: { TARGET_LINK_LENGTH: 220 }, tree: {} },
+  });
+  expect(listPresets(storage)).toMatchObject({ ...BUILT_IN_PRESETS, dense });
+});
+
+test('user presets override built-ins of the same name', () => {
+  const storage = createStorage();
+  savePreset('calm', dense, storage);
+
+  expect(listPresets(storage).calm).toEqual(dense);
+  expect(listPresets(storage).organic).toEqual(BUILT_IN_PRESETS.organic);
+});
+
+test('deleting a user preset brings back the built-in it shadowed', () => {
+  const storage = createStorage();
+  savePreset('calm', dense, storage);
+  savePreset('dense', dense, storage);
+
+  deletePreset('calm', storage);
+
+  expect(loadSavedPresets(storage)).toEqual({ dense });
+  expect(listPresets(storage).calm).toEqual(BUILT_IN_PRESETS.calm);
+});
+
+test('ignores unreadable saved data and missing storage', () => {
+  expect(loadSavedPresets(createStorage({ 'dataconnections.tuningPresets': '{oops' }))).toEqual({});
+  expect(loadSavedPresets(null)).toEqual({});
+  expect(listPresets(null)).toEqual(BUILT_IN_PRESETS);
+});